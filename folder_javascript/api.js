@@ -1,22 +1,75 @@
-import { sleep } from './utils.js';
-import { filesToInlineParts } from './file-handler.js';
+import { sleep, formatDuration } from './utils.js';
+import { getProvider, classifyResponse } from './providers.js';
+import { ERROR_CATEGORIES, normalizePolicy, classifyHttpError, parseRetryAfter, shouldRetry, retryDelay } from './retry.js';
 
-async function extractText(res) {
-  const json = await res.json();
-  return json?.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') ||
-         json?.candidates?.[0]?.content?.parts?.[0]?.text ||
-         JSON.stringify(json);
+// Reads a `text/event-stream` body and calls `onData` with the payload of every `data:` event.
+async function readSse(res, onData) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const flush = (block) => {
+    const data = block.split(/\r?\n/).filter(l => l.startsWith('data:')).map(l => l.slice(5).trimStart()).join('\n');
+    if (data) onData(data);
+  };
+  // `onData` may throw (an error event, malformed JSON); the body must not keep downloading then.
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let match;
+      while ((match = buffer.match(/\r?\n\r?\n/))) {
+        flush(buffer.slice(0, match.index));
+        buffer = buffer.slice(match.index + match[0].length);
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) flush(buffer);
+  } catch (e) {
+    reader.cancel().catch(() => {});
+    throw e;
+  }
+}
+
+// Copies the fields an event carries; streams send finishReason only in the last events.
+const mergeMeta = (meta, next) => Object.entries(next).forEach(([k, v]) => { if (v !== null) meta[k] = v; });
+
+async function extractStreamText(res, provider, attempt, meta, t0, onChunk) {
+  let text = '';
+  await readSse(res, (data) => {
+    if (data === '[DONE]') return;
+    const json = JSON.parse(data);
+    if (json.error) throw new Error(`Stream error ${json.error.code || ''} ${json.error.message || ''}`.trim());
+    const chunk = provider.extractChunk(json);
+    attempt.chunks++;
+    if (chunk && attempt.ttftMs === null) attempt.ttftMs = Math.round(performance.now() - t0);
+    attempt.usage = provider.extractUsage(json) || attempt.usage;
+    mergeMeta(meta, provider.extractMeta(json));
+    text += chunk;
+    onChunk?.(text);
+  });
+  return text;
 }
 
-export async function callGemini({ apiKey, model, prompt, imageParts, temperature, topP, thinkingBudget, timeoutMs, statusEl }) {
-  const MAX_RETRIES = 3;
-  const RETRY_DELAY_MS = 1000;
+const categorized = (error, category, extra = {}) => Object.assign(error, { category, ...extra });
+
+// Everything except the bookkeeping callbacks, the retry policy and the transport is passed on to the
+// provider's `buildRequest`. `transport` has fetch's signature; record, replay and mock transports
+// (replay.js, mock.js) stand in for the network. Thrown errors carry `category` (see retry.js),
+// `cancelled` and the `attempts` made.
+export async function callModel({ provider: providerId = 'gemini', timeoutMs, retryPolicy, onProgress, beforeAttempt, onAttempt, stream = false, onChunk, signal, transport = fetch, ...request }) {
+  const provider = getProvider(providerId);
+  const policy = normalizePolicy(retryPolicy);
   let lastError = null;
   const attempts = [];
 
-  for (let i = 0; i < MAX_RETRIES; i++) {
+  for (let i = 0; i < policy.maxAttempts; i++) {
+    await beforeAttempt?.();
+    if (signal?.aborted) break;
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const onCancel = () => controller.abort();
+    signal?.addEventListener('abort', onCancel, { once: true });
     
     const attempt = {
       attempt: i + 1,
@@ -25,86 +78,89 @@ export async function callGemini({ apiKey, model, prompt, imageParts, temperatur
       durationMs: null,
       httpStatus: null,
       errorMessage: null,
+      errorCategory: null,
+      usage: null,
+      ...(stream && { ttftMs: null, chunks: 0 }),
     };
 
-    try {
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-      const contents = [{
-        role: 'user',
-        parts: [{ text: prompt }, ...imageParts]
-      }];
+    const meta = { finishReason: null, safetyRatings: null, modelVersion: null, promptFeedback: null };
 
-      const config = {
-        temperature: temperature,
-        ...(topP > 0 && { topP: topP }),
-        response_mime_type: 'text/plain'
-      };
-
-      const body = {
-        contents,
-        "safetySettings": [
-          { "category": "HARM_CATEGORY_HARASSMENT", "threshold": "BLOCK_NONE" },
-          { "category": "HARM_CATEGORY_HATE_SPEECH", "threshold": "BLOCK_NONE" },
-          { "category": "HARM_CATEGORY_SEXUALLY_EXPLICIT", "threshold": "BLOCK_NONE" },
-          { "category": "HARM_CATEGORY_DANGEROUS_CONTENT", "threshold": "BLOCK_NONE" }
-        ],
-        "generationConfig": {
-          ...config,
-          "thinkingConfig": {
-            "thinkingBudget": Math.max(0, Number.isFinite(+thinkingBudget) ? +thinkingBudget : 0)
-          }
-        }
-      };
+    try {
+      const { url, headers, body } = provider.buildRequest({ ...request, stream });
 
       const t0 = performance.now();
-      const res = await fetch(url, {
+      const res = await transport(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers,
         body: JSON.stringify(body),
         signal: controller.signal
       });
+      attempt.httpStatus = res.status;
+      // Streaming attempts last until the final event, so the timeout keeps running until then.
+      const streamedText = res.ok && stream ? await extractStreamText(res, provider, attempt, meta, t0, onChunk) : null;
       const t1 = performance.now();
       
       clearTimeout(timeoutId);
-      attempt.httpStatus = res.status;
+      signal?.removeEventListener('abort', onCancel);
       attempt.end = new Date().toISOString();
       attempt.durationMs = Math.round(t1 - t0);
 
       if (res.ok) {
+        const json = stream ? null : await res.json();
+        if (json) {
+          attempt.usage = provider.extractUsage(json);
+          mergeMeta(meta, provider.extractMeta(json));
+        }
+        const text = streamedText ?? provider.extractText(json);
+        // With candidateCount > 1 every candidate is kept (and scored); `text` stays the first one.
+        const candidates = json && request.candidateCount > 1
+          ? provider.extractCandidates(json).map(c => ({ ...c, flag: classifyResponse({ ...meta, finishReason: c.finishReason }, c.text) }))
+          : null;
         attempts.push(attempt);
+        onAttempt?.(attempt);
         return {
-          text: await extractText(res),
+          text,
           latency: attempts.reduce((sum, a) => sum + a.durationMs, 0),
           startTime: attempts[0].start,
           endTime: attempts[attempts.length - 1].end,
           attempts,
+          usage: attempt.usage,
+          ...meta,
+          flag: classifyResponse(meta, text),
+          ...(candidates && { candidates }),
+          ...(stream && { ttft: attempt.ttftMs, chunks: attempt.chunks }),
         };
       }
 
-      if (res.status === 503 || res.status === 429) {
-        throw new Error(`HTTP ${res.status}`); // Retryable error
-      }
-
       const errText = await res.text().catch(() => '');
-      throw new Error(`HTTP ${res.status} ${res.statusText} — ${errText}`); // Non-retryable
+      throw categorized(new Error(`HTTP ${res.status} ${res.statusText} — ${errText}`), classifyHttpError(res.status, errText), {
+        retryAfterMs: parseRetryAfter(res.headers, errText),
+      });
 
     } catch (err) {
       clearTimeout(timeoutId);
-      lastError = err.name === 'AbortError' ? new Error(`Timeout`) : err;
+      signal?.removeEventListener('abort', onCancel);
+      const aborted = err.name === 'AbortError' || controller.signal.aborted;
+      if (aborted) lastError = signal?.aborted ? categorized(new Error('Cancelled'), 'cancelled') : categorized(new Error('Timeout'), 'timeout');
+      else lastError = err.category ? err : categorized(err, err instanceof TypeError ? 'network' : 'other');
       attempt.end = new Date().toISOString();
       attempt.errorMessage = lastError.message;
+      attempt.errorCategory = lastError.category;
       attempts.push(attempt);
+      onAttempt?.(attempt);
+      if (signal?.aborted) break;
+      if (i === policy.maxAttempts - 1 || !shouldRetry(policy, lastError.category, attempt.httpStatus)) break;
 
-      if (i < MAX_RETRIES - 1) {
-        const originalStatus = statusEl.textContent;
-        statusEl.textContent = `Request failed (${lastError.message}), retrying ${i + 1}/${MAX_RETRIES - 1}...`;
-        await sleep(RETRY_DELAY_MS * (i + 1));
-        statusEl.textContent = originalStatus;
-      }
+      const delay = retryDelay(policy, i, lastError.retryAfterMs ?? null);
+      attempt.retryDelayMs = delay;
+      const reason = `${ERROR_CATEGORIES[lastError.category]}${attempt.httpStatus ? `, HTTP ${attempt.httpStatus}` : ''}`;
+      onProgress?.(`Request failed (${reason}), retrying in ${formatDuration(delay)} (${i + 1}/${policy.maxAttempts - 1})...`);
+      await sleep(delay);
     }
   }
-  
-  const finalError = lastError || new Error("Request failed after multiple retries.");
+
+  const finalError = signal?.aborted ? categorized(new Error('Cancelled'), 'cancelled') : (lastError || categorized(new Error("Request failed after multiple retries."), 'other'));
+  finalError.cancelled = Boolean(signal?.aborted);
   finalError.attempts = attempts;
   throw finalError;
 }
\ No newline at end of file
@@ -0,0 +1,70 @@
+// Inline SVG charts, returned as markup so the page and the HTML report can share them without a
+// charting library or any external service.
+import { formatDuration } from './utils.js';
+
+const COLORS = { ok: '#16a34a', warn: '#d97706', err: '#dc2626', bar: '#2563eb', axis: '#94a3b8', text: '#475569' };
+const PAD = { top: 10, right: 10, bottom: 22, left: 56 };
+
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const ms = v => formatDuration(Math.round(v));
+
+const rect = (x, y, w, h, fill, title) => `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${Math.max(0, w).toFixed(1)}" height="${Math.max(0, h).toFixed(1)}" fill="${fill}"><title>${esc(title)}</title></rect>`;
+const text = (x, y, s, anchor = 'end') => `<text x="${x}" y="${y}" text-anchor="${anchor}" font-size="11" fill="${COLORS.text}">${esc(s)}</text>`;
+
+// Axes with a value label at the top of the y axis and a caption under the x axis.
+function frame(width, height, label, yMax, xCaption, body) {
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${esc(label)}">
+  <line x1="${PAD.left}" y1="${height - PAD.bottom}" x2="${width - PAD.right}" y2="${height - PAD.bottom}" stroke="${COLORS.axis}" />
+  <line x1="${PAD.left}" y1="${PAD.top}" x2="${PAD.left}" y2="${height - PAD.bottom}" stroke="${COLORS.axis}" />
+  ${text(PAD.left - 6, PAD.top + 10, yMax)}
+  ${text(PAD.left - 6, height - PAD.bottom, '0')}
+  ${text((width + PAD.left) / 2, height - 6, xCaption, 'middle')}
+  ${body}
+</svg>`;
+}
+
+// One bar per run in run order, coloured by outcome; failed runs are a red tick on the baseline.
+export function latencyByRunSvg(results, width = 720, height = 180) {
+  if (!results.length) return '';
+  const runs = [...results].sort((a, b) => a.index - b.index);
+  const max = Math.max(1, ...runs.map(r => r.latency || 0));
+  const step = (width - PAD.left - PAD.right) / runs.length;
+  const barWidth = Math.max(1, step * 0.8);
+  const base = height - PAD.bottom;
+  const y = v => PAD.top + (base - PAD.top) * (1 - v / max);
+  const bars = runs.map((r, i) => {
+    const x = PAD.left + i * step + (step - barWidth) / 2;
+    if (!r.ok || !Number.isFinite(r.latency)) return rect(x, base - 3, barWidth, 3, COLORS.err, `Run ${r.index}: ${r.cancelled ? 'cancelled' : 'error'}`);
+    return rect(x, y(r.latency), barWidth, base - y(r.latency), r.flag ? COLORS.warn : COLORS.ok, `Run ${r.index}: ${ms(r.latency)}`);
+  }).join('');
+  return frame(width, height, 'Latency per run', ms(max), `run ${runs[0].index} – ${runs[runs.length - 1].index}`, bars);
+}
+
+// Bins from stats.histogram().
+export function latencyHistogramSvg(bins, width = 720, height = 180) {
+  if (!bins.length) return '';
+  const max = Math.max(1, ...bins.map(b => b.count));
+  const step = (width - PAD.left - PAD.right) / bins.length;
+  const base = height - PAD.bottom;
+  const bars = bins.map((b, i) => {
+    const h = (base - PAD.top) * (b.count / max);
+    return rect(PAD.left + i * step + 1, base - h, step - 2, h, COLORS.bar, `${ms(b.from)} – ${ms(b.to)}: ${b.count} run(s)`);
+  }).join('');
+  return frame(width, height, 'Latency histogram', `${max} runs`, `${ms(bins[0].from)} – ${ms(bins[bins.length - 1].to)}`, bars);
+}
+
+// Horizontal bars, one per answer cluster (largest first), labelled with their share.
+export function clusterBarsSvg(clusters, width = 720, limit = 10) {
+  const shown = clusters.slice(0, limit);
+  if (!shown.length) return '';
+  const row = 22;
+  const height = shown.length * row + 8;
+  const left = 40, right = 60;
+  const max = Math.max(...shown.map(c => c.size));
+  const bars = shown.map((c, i) => {
+    const w = (width - left - right) * (c.size / max);
+    const y = 4 + i * row;
+    return `${text(left - 6, y + 15, `#${i + 1}`)}${rect(left, y + 2, w, row - 6, i === 0 ? COLORS.ok : COLORS.bar, `${c.size} run(s): ${c.representative.slice(0, 120)}`)}${text(left + w + 6, y + 15, `${(c.share * 100).toFixed(0)}% · ${c.size}`, 'start')}`;
+  }).join('');
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Answer clusters">${bars}</svg>`;
+}
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+// Headless consistency runner for CI (Node 20.19+ / 22.12+, which load these ES modules as-is).
+//
+//   node folder_javascript/cli.js <config.json> [--out results.json] [--junit junit.xml] [--markdown summary.md]
+//
+// Exit codes: 0 = all thresholds met, 1 = a threshold failed, 2 = usage or configuration error, 3 = any other failure.
+// See README.md for the config keys and consistency.config.example.json for an example.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runSeries } from './runner.js';
+import { computeMetrics, computeJsonMetrics, computeAccuracy, scoredRuns, countFinishReasons } from './metrics.js';
+import { getProvider, DEFAULT_SAFETY_SETTINGS } from './providers.js';
+import { formatDuration, formatCost } from './utils.js';
+import { DEFAULT_PRICES, summarizeUsage } from './pricing.js';
+import { extractVariables, renderTemplate, fromBundled, getVersion, parsePack } from './templates.js';
+import { parseSchema, summarizeValidation } from './schema.js';
+import { normalizePolicy, countErrorCategories, ERROR_CATEGORIES } from './retry.js';
+import { computeStats } from './stats.js';
+import { normalizeMockConfig, createMockTransport } from './mock.js';
+import { normalizeConversation, planConversation, computeTurnMetrics } from './conversation.js';
+
+const TEMPLATES_PATH = fileURLToPath(new URL('../templates.json', import.meta.url));
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.heic': 'image/heic',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+};
+
+// Metric name → how to read it from the computed summary. Thresholds are minimums (0..1).
+const THRESHOLD_METRICS = {
+  successRate: m => m.successRate,
+  exactRate: m => m.exactRate,
+  avgJaccard: m => m.avgJaccard,
+  avgEditSimilarity: m => m.avgEditSimilarity,
+  parseRate: m => m.json?.parseRate,
+  fieldAgreement: m => m.json?.fieldAgreement,
+  accuracyExact: m => m.accuracy?.exactRate,
+  accuracySimilarity: m => m.accuracy?.avgSimilarity,
+  accuracyF1: m => m.accuracy?.avgF1,
+  schemaValidRate: m => m.validation?.validRate,
+};
+
+class ConfigError extends Error {}
+
+function parseArgs(argv) {
+  const args = { config: null, out: null, junit: null, markdown: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--out' || a === '--junit' || a === '--markdown') {
+      if (!argv[i + 1]) throw new ConfigError(`${a} needs a path`);
+      args[a.slice(2)] = argv[++i];
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
+    } else if (!args.config) {
+      args.config = a;
+    } else {
+      throw new ConfigError(`Unexpected argument: ${a}`);
+    }
+  }
+  return args;
+}
+
+async function readJson(file, what) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`Cannot read ${what} ${file}: ${e.message}`);
+  }
+}
+
+// `template` names a bundled template, or one from the pack in `templateFile` (exported from the UI).
+async function resolvePrompt(config, baseDir) {
+  const variables = config.variables || {};
+  let prompt = config.prompt;
+  let template = null;
+  let schema = null;
+  if (!prompt && config.promptFile) {
+    const file = path.resolve(baseDir, config.promptFile);
+    prompt = await readFile(file, 'utf8').catch(e => { throw new ConfigError(`Cannot read prompt ${file}: ${e.message}`); });
+  }
+  if (!prompt && config.template) {
+    const file = config.templateFile ? path.resolve(baseDir, config.templateFile) : TEMPLATES_PATH;
+    const text = await readFile(file, 'utf8').catch(e => { throw new ConfigError(`Cannot read templates ${file}: ${e.message}`); });
+    let list;
+    try {
+      list = parsePack(text, file);
+    } catch (e) {
+      throw new ConfigError(e.message);
+    }
+    const found = list.find(t => t.name === config.template);
+    if (!found) throw new ConfigError(`Template not found in ${path.basename(file)}: ${config.template}`);
+    const t = found.versions ? found : fromBundled(found);
+    if (config.templateVersion && !t.versions.some(v => v.version === config.templateVersion)) {
+      throw new ConfigError(`Template ${config.template} has no version ${config.templateVersion}`);
+    }
+    const v = getVersion(t, config.templateVersion || t.version);
+    prompt = v.prompt;
+    schema = v.schema ?? null;
+    template = { id: t.id, name: v.name, version: v.version, modified: false, variables };
+  }
+  if (!prompt) throw new ConfigError('Config needs "prompt", "promptFile" or "template"');
+
+  const missing = extractVariables(prompt).filter(name => variables[name] === undefined);
+  if (missing.length) throw new ConfigError(`Missing template variables: ${missing.join(', ')}`);
+  return { prompt: renderTemplate(prompt, variables), template, schema };
+}
+
+async function resolveSchema(config, baseDir, templateSchema) {
+  let text = null;
+  if (config.responseSchema) text = JSON.stringify(config.responseSchema);
+  else if (config.responseSchemaFile) {
+    const file = path.resolve(baseDir, config.responseSchemaFile);
+    text = await readFile(file, 'utf8').catch(e => { throw new ConfigError(`Cannot read response schema ${file}: ${e.message}`); });
+  }
+  if (text === null) return templateSchema;
+  try {
+    return parseSchema(text);
+  } catch (e) {
+    throw new ConfigError(e.message);
+  }
+}
+
+async function loadAttachments(files, baseDir) {
+  return Promise.all((files || []).map(async (f) => {
+    const file = path.resolve(baseDir, f);
+    const mime = MIME_TYPES[path.extname(file).toLowerCase()];
+    if (!mime) throw new ConfigError(`Unsupported attachment type: ${f}`);
+    const data = await readFile(file).catch(e => { throw new ConfigError(`Cannot read attachment ${f}: ${e.message}`); });
+    return { inline_data: { mime_type: mime, data: data.toString('base64') } };
+  }));
+}
+
+function evaluateThresholds(metrics, thresholds = {}) {
+  return Object.entries(thresholds).map(([name, min]) => {
+    const actual = THRESHOLD_METRICS[name](metrics);
+    return { name, min, actual: actual ?? null, passed: actual !== null && actual !== undefined && actual >= min };
+  });
+}
+
+const pct = v => v === null || v === undefined ? 'n/a' : (v * 100).toFixed(1) + '%';
+const xml = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+
+function toJUnit(name, checks, totalMs) {
+  const failures = checks.filter(c => !c.passed).length;
+  const cases = checks.map(c => `    <testcase classname="consistency" name="${xml(c.name)} >= ${c.min}">${c.passed ? '' :
+    `\n      <failure message="${xml(`${c.name} = ${pct(c.actual)}, required ≥ ${pct(c.min)}`)}"/>\n    `}</testcase>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="${xml(name)}" tests="${checks.length}" failures="${failures}" time="${(totalMs / 1000).toFixed(3)}">
+${cases}
+  </testsuite>
+</testsuites>
+`;
+}
+
+function toMarkdown(name, meta, metrics, checks) {
+  const lines = [
+    `## Consistency: ${name}`,
+    '',
+    `Model \`${meta.model}\` (${meta.provider}) · ${meta.runs} runs · ${formatDuration(meta.totalDurationMs)}`,
+    '',
+    '| Metric | Value |',
+    '| --- | --- |',
+    `| Success | ${metrics.successes}/${meta.runs} |`,
+    `| Truncated / blocked / empty | ${metrics.flagged} |`,
+    ...(metrics.errorCategories.length ? [`| Errors | ${metrics.errorCategories.map(c => `${ERROR_CATEGORIES[c.category]} × ${c.count}`).join(', ')} |`] : []),
+    `| Exact match | ${pct(metrics.exactRate)} |`,
+    `| Token Jaccard | ${pct(metrics.avgJaccard)} |`,
+    `| Edit similarity | ${pct(metrics.avgEditSimilarity)} |`,
+  ];
+  const { latency, retries } = meta.stats;
+  if (latency) lines.push(`| Latency p50 / p95 / max | ${[latency.p50, latency.p95, latency.max].map(v => formatDuration(Math.round(v))).join(' / ')} |`);
+  if (retries.total) lines.push(`| Retries | ${retries.total} in ${retries.runs} run(s) |`);
+  if (metrics.turns?.length > 1) metrics.turns.forEach(t => lines.push(`| Turn ${t.turn} exact / Jaccard | ${pct(t.exactRate)} / ${pct(t.avgJaccard)} |`));
+  if (metrics.json) lines.push(`| JSON parse rate | ${pct(metrics.json.parseRate)} |`, `| JSON field agreement | ${pct(metrics.json.fieldAgreement)} |`);
+  if (metrics.validation) lines.push(`| Schema valid${meta.schema.enforced ? ' (enforced)' : ''} | ${pct(metrics.validation.validRate)} |`);
+  if (metrics.usage) lines.push(`| Avg tokens / run | ${Math.round(metrics.usage.avgTotalTokens)} |`, `| Est. cost (total) | ${formatCost(metrics.usage.cost)} |`);
+  if (metrics.accuracy) lines.push(`| Accuracy (exact) | ${pct(metrics.accuracy.exactRate)} |`, `| Accuracy (field F1) | ${pct(metrics.accuracy.avgF1)} |`);
+  if (checks.length) {
+    lines.push('', '| Threshold | Required | Actual | Result |', '| --- | --- | --- | --- |');
+    checks.forEach(c => lines.push(`| ${c.name} | ≥ ${pct(c.min)} | ${pct(c.actual)} | ${c.passed ? '✅ pass' : '❌ fail'} |`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.config) {
+    console.log('Usage: node folder_javascript/cli.js <config.json> [--out results.json] [--junit junit.xml] [--markdown summary.md]');
+    return args.help ? 0 : 2;
+  }
+
+  const configPath = path.resolve(args.config);
+  const baseDir = path.dirname(configPath);
+  const config = await readJson(configPath, 'config');
+  let provider;
+  try {
+    provider = getProvider(config.provider);
+  } catch (e) {
+    throw new ConfigError(e.message);
+  }
+  const apiKey = config.apiKey || process.env[config.apiKeyEnv || 'GEMINI_API_KEY'] || '';
+  if (provider.requiresKey && !apiKey) throw new ConfigError(`Missing API key: set ${config.apiKeyEnv || 'GEMINI_API_KEY'}`);
+
+  const { prompt, template, schema: templateSchema } = await resolvePrompt(config, baseDir);
+  const schema = await resolveSchema(config, baseDir, templateSchema);
+  const enforceSchema = Boolean(schema) && config.enforceSchema !== false;
+  const imageParts = await loadAttachments(config.attachments, baseDir);
+  const expectedPath = config.expectedFile && path.resolve(baseDir, config.expectedFile);
+  const expected = expectedPath
+    ? await readFile(expectedPath, 'utf8').catch(e => { throw new ConfigError(`Cannot read expected output ${expectedPath}: ${e.message}`); })
+    : (config.expected || '');
+  const N = config.runs || 5;
+  if (config.candidateCount > 1 && config.stream) throw new ConfigError('"candidateCount" above 1 cannot be combined with "stream"');
+  // Checked before any request is made, so a typo does not cost a full run.
+  const unknown = Object.keys(config.thresholds || {}).filter(metric => !THRESHOLD_METRICS[metric]);
+  if (unknown.length) throw new ConfigError(`Unknown threshold metric: ${unknown.join(', ')}`);
+  const name = config.name || path.basename(configPath, '.json');
+
+  let conversation = null;
+  if (config.conversation) {
+    try {
+      conversation = { turns: normalizeConversation(config.conversation.turns), ownAnswers: Boolean(config.conversation.ownAnswers) };
+    } catch (e) {
+      throw new ConfigError(e.message);
+    }
+  }
+  const retryPolicy = normalizePolicy(config.retry);
+  let transport = fetch;
+  if (provider.id === 'mock') {
+    try {
+      transport = createMockTransport(normalizeMockConfig(config.mock));
+    } catch (e) {
+      throw new ConfigError(e.message);
+    }
+  }
+  const generationConfig = {
+    temperature: config.temperature ?? 0,
+    topP: config.topP ?? 0.9,
+    thinkingBudget: config.thinkingBudget ?? 0,
+    topK: config.topK ?? null,
+    maxOutputTokens: config.maxOutputTokens ?? null,
+    seed: config.seed ?? null,
+    stopSequences: config.stopSequences || [],
+    candidateCount: config.candidateCount || 1,
+    systemInstruction: config.systemInstruction || null,
+    safetySettings: config.safetySettings || DEFAULT_SAFETY_SETTINGS,
+    responseSchema: enforceSchema ? schema : null,
+  };
+
+  const startTime = new Date().toISOString();
+  const t0 = performance.now();
+  const { results } = await runSeries({
+    params: {
+      provider: provider.id,
+      apiKey,
+      model: config.model || 'gemini-2.5-flash-lite',
+      prompt,
+      imageParts,
+      ...generationConfig,
+      timeoutMs: config.timeoutMs || 30000,
+      retryPolicy,
+      stream: Boolean(config.stream),
+      baseUrl: config.baseUrl || provider.defaultBaseUrl,
+      transport,
+      conversation: conversation && planConversation(conversation.turns, conversation),
+      onProgress: message => console.error(`  ${message}`),
+    },
+    total: N,
+    concurrency: config.concurrency || 1,
+    rpm: config.rpm || 0,
+    delayMs: config.delayMs || 0,
+    reference: expected.trim(),
+    tolerance: config.tolerance || 0,
+    schema,
+    onResult: r => console.error(`run ${r.index}/${N} ${r.ok ? r.flag || 'ok' : `error (${ERROR_CATEGORIES[r.errorCategory]})`} ${r.ok ? formatDuration(r.latency) : r.error}`),
+  });
+  const totalMs = Math.round(performance.now() - t0);
+
+  // Truncated, blocked and empty responses are left out of the scores unless `excludeFlagged` is false.
+  const scored = scoredRuns(results, { excludeFlagged: config.excludeFlagged ?? true });
+  const texts = scored.map(r => r.text);
+  const successes = results.filter(r => r.ok).length;
+  const metrics = {
+    successes,
+    successRate: results.length ? successes / results.length : 0,
+    flagged: results.filter(r => r.ok && r.flag).length,
+    finishReasons: countFinishReasons(results),
+    errorCategories: countErrorCategories(results),
+    ...computeMetrics(texts),
+    json: config.scoring === 'json' ? computeJsonMetrics(texts) : null,
+    accuracy: computeAccuracy(scored),
+    validation: summarizeValidation(scored),
+    usage: summarizeUsage(results, { ...DEFAULT_PRICES, ...config.prices }),
+    ...(conversation && { turns: computeTurnMetrics(results, { excludeFlagged: config.excludeFlagged ?? true }) }),
+  };
+  const checks = evaluateThresholds(metrics, config.thresholds);
+
+  const meta = {
+    provider: provider.id,
+    model: config.model || 'gemini-2.5-flash-lite',
+    runs: N,
+    timestamp: startTime,
+    startTime,
+    endTime: new Date().toISOString(),
+    totalDurationMs: results.reduce((sum, r) => sum + (r.latency || 0), 0),
+    generationConfig,
+    retryPolicy,
+    conversation,
+    template,
+    schema: schema && { schema, enforced: enforceSchema },
+    stats: computeStats(results, { excludeFlagged: config.excludeFlagged ?? true }),
+  };
+  const out = { meta, prompt, expected: expected || null, results, metrics, thresholds: checks };
+
+  // Paths given on the command line are relative to the working directory, those in the config to the config file.
+  const outputs = config.output || {};
+  const target = (flag, key) => args[flag] ? path.resolve(args[flag]) : outputs[key] && path.resolve(baseDir, outputs[key]);
+  const jsonPath = target('out', 'json');
+  const junitPath = target('junit', 'junit');
+  const markdownPath = target('markdown', 'markdown');
+  const write = async (file, content) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, content);
+  };
+
+  console.log(toMarkdown(name, meta, metrics, checks));
+  if (jsonPath) await write(jsonPath, JSON.stringify(out, null, 2));
+  if (junitPath) await write(junitPath, toJUnit(name, checks, totalMs));
+  if (markdownPath) await write(markdownPath, toMarkdown(name, meta, metrics, checks));
+  const failed = checks.filter(c => !c.passed);
+  if (failed.length) {
+    console.error(`FAILED: ${failed.map(c => `${c.name} ${pct(c.actual)} < ${pct(c.min)}`).join(', ')}`);
+    return 1;
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  (err) => {
+    console.error(err instanceof ConfigError ? `Config error: ${err.message}` : err);
+    process.exitCode = err instanceof ConfigError ? 2 : 3;
+  }
+);
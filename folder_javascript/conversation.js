@@ -0,0 +1,126 @@
+// Multi-turn tests. The prompt (with the attachments) is the first user turn; a script of
+// { role: 'user' | 'model', text } turns continues the conversation. A model turn's text is a
+// scripted reply sent as if the model had written it; without text (or with `ownAnswers`) the
+// model's own answer to the preceding user turn is generated and fed back instead. Every run
+// replays the whole conversation and the last turn's answer is the one that is scored.
+import { callModel } from './api.js';
+import { computeMetrics } from './metrics.js';
+
+export const EXAMPLE_CONVERSATION = [
+  { role: 'model' },
+  { role: 'user', text: 'Are you sure? Answer again in the same format.' },
+];
+
+export function parseConversation(text) {
+  let turns;
+  try {
+    turns = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Conversation script is not valid JSON (${e.message})`);
+  }
+  return normalizeConversation(turns);
+}
+
+// Throws an Error describing the first problem.
+export function normalizeConversation(turns) {
+  if (!Array.isArray(turns) || !turns.length) throw new Error('The conversation script must be a non-empty JSON array of { "role": "user" | "model", "text": "…" } turns.');
+  turns.forEach((t, i) => {
+    if (!t || (t.role !== 'user' && t.role !== 'model')) throw new Error(`Conversation turn ${i + 1}: "role" must be "user" or "model".`);
+    if (t.role === 'user' && (typeof t.text !== 'string' || !t.text.trim())) throw new Error(`Conversation turn ${i + 1}: user turns need a "text".`);
+    if (t.role === 'model' && t.text != null && typeof t.text !== 'string') throw new Error(`Conversation turn ${i + 1}: "text" must be a string.`);
+    if (t.role === 'model' && turns[i - 1]?.role === 'model') throw new Error(`Conversation turn ${i + 1}: two model turns in a row.`);
+  });
+  if (turns[turns.length - 1].role !== 'user') throw new Error('The conversation script must end with a user turn; its answer is the one that is scored.');
+  return turns.map(t => ({ role: t.role, text: t.text ?? null }));
+}
+
+// One step per user turn, the prompt first. `reply` is the scripted answer that follows it, or
+// null when the model answers; the last step is always answered by the model.
+export function planConversation(turns, { ownAnswers = false } = {}) {
+  const steps = [{ user: null, reply: null }];
+  for (const t of turns) {
+    if (t.role === 'model') steps[steps.length - 1].reply = ownAnswers ? null : t.text;
+    else steps.push({ user: t.text, reply: null });
+  }
+  steps[steps.length - 1].reply = null;
+  return steps;
+}
+
+const addUsage = (a, b) => (!a ? b : !b ? a : {
+  promptTokens: a.promptTokens + b.promptTokens,
+  outputTokens: a.outputTokens + b.outputTokens,
+  thinkingTokens: a.thinkingTokens + b.thinkingTokens,
+  totalTokens: a.totalTokens + b.totalTokens,
+});
+
+// Same contract as callModel, plus `conversation` (planConversation's steps). The result is the
+// last turn's, with latency, usage and attempts summed over every generated turn and the
+// transcript in `turns`. Earlier turns feed back their first candidate. A failed turn ends the
+// run; the error carries the turns that completed.
+export async function runConversation({ conversation, prompt, imageParts = [], systemInstruction = null, onChunk, ...params }) {
+  const history = [];
+  const turns = [];
+  const attempts = [];
+  let usage = null;
+  let result = null;
+
+  for (const [i, step] of conversation.entries()) {
+    const user = i === 0 ? prompt : step.user;
+    const userParts = i === 0 ? imageParts : [];
+    const turn = { turn: i + 1, user, ...(userParts.length && { attachments: userParts.length }) };
+    if (step.reply !== null) {
+      turns.push({ ...turn, text: step.reply, scripted: true });
+    } else {
+      try {
+        result = await callModel({ ...params, systemInstruction, prompt: user, imageParts: userParts, history, onChunk });
+      } catch (err) {
+        err.message = `Turn ${i + 1}: ${err.message}`;
+        err.attempts = [...attempts, ...(err.attempts || []).map(a => ({ ...a, turn: i + 1 }))];
+        err.turns = turns;
+        throw err;
+      }
+      attempts.push(...result.attempts.map(a => ({ ...a, turn: i + 1 })));
+      usage = addUsage(usage, result.usage);
+      turns.push({ ...turn, text: result.text, latency: result.latency, usage: result.usage, finishReason: result.finishReason, flag: result.flag });
+    }
+    history.push({ role: 'user', text: user, imageParts: userParts }, { role: 'model', text: turns[turns.length - 1].text });
+  }
+
+  return {
+    ...result,
+    latency: attempts.reduce((sum, a) => sum + a.durationMs, 0),
+    startTime: attempts[0].start,
+    attempts,
+    usage,
+    system: systemInstruction,
+    turns,
+  };
+}
+
+// Consistency of every generated turn across runs (the last one is also the headline metric).
+export function computeTurnMetrics(results, { excludeFlagged = false } = {}) {
+  const runs = results.filter(r => r.ok && r.turns);
+  if (!runs.length) return [];
+  return runs[0].turns.filter(t => !t.scripted).map((t) => {
+    const answers = runs.map(r => r.turns[t.turn - 1]).filter(a => a && !(excludeFlagged && a.flag));
+    const { exactRate, avgJaccard, avgEditSimilarity, majorityNormalized } = computeMetrics(answers.map(a => a.text));
+    return {
+      turn: t.turn,
+      user: t.user,
+      scored: answers.length,
+      exactRate: answers.length ? exactRate : null,
+      avgJaccard: answers.length ? avgJaccard : null,
+      avgEditSimilarity: answers.length ? avgEditSimilarity : null,
+      majorityNormalized: answers.length ? majorityNormalized : '',
+    };
+  });
+}
+
+export function formatTranscript(result) {
+  const lines = result.system ? [`[System]\n${result.system}`] : [];
+  for (const t of result.turns || []) {
+    lines.push(`[User ${t.turn}]${t.attachments ? ` (+${t.attachments} attachment(s))` : ''}\n${t.user}`);
+    lines.push(`[Model ${t.turn}]${t.scripted ? ' (scripted)' : t.flag ? ` (${t.flag})` : ''}\n${t.text}`);
+  }
+  return lines.join('\n\n');
+}
@@ -0,0 +1,91 @@
+import { readZip, mimeFromName } from './zip.js';
+import { summarizeRuns, computeAccuracy, scoredRuns } from './metrics.js';
+
+const IGNORED_PATH = /(^|\/)(__MACOSX|\.[^/]*)(\/|$)/;
+const EXPECTED_NAME = /(^|\.)expected\.(json|txt)$/i;
+
+const isZip = file => file.type === 'application/zip' || file.type === 'application/x-zip-compressed' || /\.zip$/i.test(file.name);
+const isDocument = (file) => {
+  const type = file.type || mimeFromName(file.name);
+  return type.startsWith('image/') || type === 'application/pdf';
+};
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Picked files, a picked folder or ZIP archives → [{ path, file }], skipping hidden files.
+export async function collectEntries(files) {
+  const entries = [];
+  for (const file of files) {
+    if (isZip(file)) entries.push(...await readZip(file));
+    else entries.push({ path: file.webkitRelativePath || file.name, file });
+  }
+  return entries.filter(e => !IGNORED_PATH.test(e.path));
+}
+
+// Every sub-folder is one test case; a document at the top level is a case on its own.
+// `expected.json|txt` inside a case folder, or `<name>.expected.json|txt` next to a top-level
+// document, is that case's expected output. A single folder wrapping case folders is ignored;
+// one holding only documents is a case itself. Expected files that belong to no case (or are a
+// case's second one) are returned in `unmatched` so they can be reported.
+export function groupCases(entries) {
+  const paths = entries.map(e => e.path.split('/'));
+  const wrapped = paths.length > 0 && paths.every(p => p.length > 1 && p[0] === paths[0][0]) && paths.some(p => p.length > 2);
+  const cases = new Map();
+  const expectedPaths = new Map();
+  const unmatched = [];
+
+  entries.forEach((entry, i) => {
+    const parts = wrapped ? paths[i].slice(1) : paths[i];
+    const fileName = parts[parts.length - 1];
+    const expected = EXPECTED_NAME.test(fileName);
+    const name = parts.length > 1 ? parts[0] : fileName.replace(EXPECTED_NAME, '').replace(/\.[^.]+$/, '');
+    if (expected) {
+      if (!name || expectedPaths.has(name)) {
+        unmatched.push(entry.path);
+        return;
+      }
+      expectedPaths.set(name, entry.path);
+    } else if (!name || !isDocument(entry.file)) {
+      return;
+    }
+
+    const testCase = cases.get(name) || { name, files: [], expected: null };
+    if (expected) testCase.expected = entry.file;
+    else testCase.files.push(entry.file);
+    cases.set(name, testCase);
+  });
+
+  const all = [...cases.values()];
+  all.filter(c => !c.files.length).forEach(c => unmatched.push(expectedPaths.get(c.name)));
+  return {
+    cases: all
+      .filter(c => c.files.length)
+      .map(c => ({ ...c, files: c.files.sort((a, b) => byName(a.name, b.name)) }))
+      .sort((a, b) => byName(a.name, b.name)),
+    unmatched: unmatched.sort(byName),
+  };
+}
+
+export function summarizeCase(results, passThreshold, options = {}) {
+  const summary = summarizeRuns(results, options);
+  return {
+    summary,
+    accuracy: computeAccuracy(scoredRuns(results, options)),
+    passed: summary.exactRate !== null && summary.exactRate >= passThreshold,
+  };
+}
+
+export function summarizeBatch(cases) {
+  const scored = cases.filter(c => c.summary.exactRate !== null);
+  const mean = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  const worst = scored.reduce((w, c) => (!w || c.summary.exactRate < w.summary.exactRate ? c : w), null);
+  return {
+    cases: cases.length,
+    runs: cases.reduce((sum, c) => sum + c.summary.runs, 0),
+    errors: cases.reduce((sum, c) => sum + c.summary.errors, 0),
+    meanExactRate: mean(scored.map(c => c.summary.exactRate)),
+    meanJaccard: mean(scored.map(c => c.summary.avgJaccard)),
+    meanAccuracy: mean(cases.filter(c => c.accuracy).map(c => c.accuracy.exactRate)),
+    worst: worst && { name: worst.name, exactRate: worst.summary.exactRate },
+    failing: cases.filter(c => !c.passed).map(c => c.name),
+  };
+}
@@ -1,19 +1,60 @@
 const DB_NAME = 'GeminiTesterDB';
+const DB_VERSION = 4;
 const STORE_NAME = 'Settings';
+const HISTORY_STORE = 'History';
+const TEMPLATES_STORE = 'Templates';
+const RECORDINGS_STORE = 'Recordings';
 let db;
 
+// Each step upgrades the schema from the previous version, so older databases migrate in order.
+const MIGRATIONS = [
+  // v1: settings (API key)
+  (db) => {
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    }
+  },
+  // v2: saved test runs
+  (db) => {
+    if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+      const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('createdAt', 'createdAt');
+    }
+  },
+  // v3: user templates and edits to bundled ones
+  (db) => {
+    if (!db.objectStoreNames.contains(TEMPLATES_STORE)) {
+      db.createObjectStore(TEMPLATES_STORE, { keyPath: 'id' });
+    }
+  },
+  // v4: recorded responses for replay mode, keyed by request hash
+  (db) => {
+    if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+      db.createObjectStore(RECORDINGS_STORE, { keyPath: 'key' });
+    }
+  },
+];
+
 async function initDB() {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, 1);
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
     request.onerror = () => reject("Error opening DB");
+    // An older tab still holds the previous version open; the upgrade waits until it closes.
+    request.onblocked = () => reject("DB upgrade blocked: close the other tabs of this page and reload");
     request.onsuccess = (event) => {
-      db = event.target.result;
+      const conn = event.target.result;
+      // Let a newer version opened in another tab upgrade instead of blocking on this connection.
+      conn.onversionchange = () => {
+        conn.close();
+        if (db === conn) db = null;
+      };
+      db = conn;
       resolve(db);
     };
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      for (let v = event.oldVersion; v < DB_VERSION; v++) {
+        MIGRATIONS[v](db);
       }
     };
   });
@@ -41,7 +82,126 @@ export async function dbSet(key, value) {
   });
 }
 
-export async function loadApiKey() {
-    await initDB();
-    return await dbGet('gemini_api_key');
+export async function historyAdd(entry) {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    const request = store.add(entry);
+    request.onerror = () => reject("Error saving test to history");
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+export async function historyList() {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], 'readonly');
+    const store = transaction.objectStore(HISTORY_STORE);
+    const request = store.index('createdAt').getAll();
+    request.onerror = () => reject("Error reading history");
+    request.onsuccess = () => resolve(request.result.reverse());
+  });
+}
+
+export async function historyDelete(id) {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    const request = store.delete(id);
+    request.onerror = () => reject("Error deleting test from history");
+    request.onsuccess = () => resolve();
+  });
+}
+
+export async function templatesList() {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TEMPLATES_STORE], 'readonly');
+    const store = transaction.objectStore(TEMPLATES_STORE);
+    const request = store.getAll();
+    request.onerror = () => reject("Error reading templates");
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+export async function templatesPut(template) {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TEMPLATES_STORE], 'readwrite');
+    const store = transaction.objectStore(TEMPLATES_STORE);
+    const request = store.put(template);
+    request.onerror = () => reject("Error saving template");
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+export async function templatesDelete(id) {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TEMPLATES_STORE], 'readwrite');
+    const store = transaction.objectStore(TEMPLATES_STORE);
+    const request = store.delete(id);
+    request.onerror = () => reject("Error deleting template");
+    request.onsuccess = () => resolve();
+  });
+}
+
+// Read and write happen in one transaction, so concurrent runs recording the same request
+// cannot overwrite each other's responses.
+export async function recordingAppend(key, response, info) {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([RECORDINGS_STORE], 'readwrite');
+    const store = transaction.objectStore(RECORDINGS_STORE);
+    const request = store.get(key);
+    request.onerror = () => reject("Error reading recording");
+    request.onsuccess = () => {
+      const now = new Date().toISOString();
+      const recording = request.result || { key, ...info, createdAt: now, responses: [] };
+      recording.responses.push(response);
+      recording.updatedAt = now;
+      store.put(recording);
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject("Error saving recording");
+  });
+}
+
+export async function recordingGet(key) {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([RECORDINGS_STORE], 'readonly');
+    const store = transaction.objectStore(RECORDINGS_STORE);
+    const request = store.get(key);
+    request.onerror = () => reject("Error reading recording");
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+export async function recordingsCount() {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([RECORDINGS_STORE], 'readonly');
+    const store = transaction.objectStore(RECORDINGS_STORE);
+    const request = store.count();
+    request.onerror = () => reject("Error counting recordings");
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+export async function recordingsClear() {
+  if (!db) await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([RECORDINGS_STORE], 'readwrite');
+    const store = transaction.objectStore(RECORDINGS_STORE);
+    const request = store.clear();
+    request.onerror = () => reject("Error clearing recordings");
+    request.onsuccess = () => resolve();
+  });
+}
+
+export async function loadApiKey(provider = 'gemini') {
+    return await dbGet(`${provider}_api_key`);
 }
\ No newline at end of file
@@ -0,0 +1,96 @@
+import { parseJsonOutput } from './metrics.js';
+
+// Above this many LCS cells the middle section is reported as a single replace.
+const MAX_LCS_CELLS = 4_000_000;
+
+// Every line keeps its newline (one is added to the last line) so a final line still matches.
+export function tokenizeLines(s) {
+  const text = String(s || '');
+  return (text && !text.endsWith('\n') ? text + '\n' : text).match(/[^\n]*\n/g) || [];
+}
+
+export function tokenizeWords(s) {
+  return String(s || '').match(/\s+|[^\s]+/g) || [];
+}
+
+function pushOp(ops, type, value) {
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) last.value += value;
+  else ops.push({ type, value });
+}
+
+// Returns [{ type: 'equal' | 'delete' | 'insert', value }] turning token list `a` into `b`.
+export function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  const midA = a.slice(start, endA), midB = b.slice(start, endB);
+  if (start > 0) pushOp(ops, 'equal', a.slice(0, start).join(''));
+
+  const n = midA.length, m = midB.length;
+  if (n * m > MAX_LCS_CELLS) {
+    if (n) pushOp(ops, 'delete', midA.join(''));
+    if (m) pushOp(ops, 'insert', midB.join(''));
+  } else {
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { pushOp(ops, 'equal', midA[i]); i++; j++; }
+      else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) { pushOp(ops, 'delete', midA[i]); i++; }
+      else { pushOp(ops, 'insert', midB[j]); j++; }
+    }
+    while (i < n) pushOp(ops, 'delete', midA[i++]);
+    while (j < m) pushOp(ops, 'insert', midB[j++]);
+  }
+
+  if (endA < a.length) pushOp(ops, 'equal', a.slice(endA).join(''));
+  return ops;
+}
+
+export function diffWords(a, b) {
+  return diffTokens(tokenizeWords(a), tokenizeWords(b));
+}
+
+export function diffLines(a, b) {
+  return diffTokens(tokenizeLines(a), tokenizeLines(b));
+}
+
+function flatten(value, path, out) {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [`[${i}]`, v]) : Object.entries(value).map(([k, v]) => [path ? `.${k}` : k, v]);
+    if (!entries.length) out.set(path || '(root)', JSON.stringify(value));
+    for (const [key, v] of entries) flatten(v, path + key, out);
+  } else {
+    out.set(path || '(root)', JSON.stringify(value));
+  }
+  return out;
+}
+
+// Key-level differences between two JSON outputs, or null if either side is not JSON.
+// Returns [{ path, type: 'changed' | 'removed' | 'added', a, b }] in first-seen path order.
+export function diffJson(a, b) {
+  const pa = parseJsonOutput(a), pb = parseJsonOutput(b);
+  if (!pa.ok || !pb.ok) return null;
+  const fa = flatten(pa.value, '', new Map());
+  const fb = flatten(pb.value, '', new Map());
+  const changes = [];
+  for (const [path, va] of fa) {
+    if (!fb.has(path)) changes.push({ path, type: 'removed', a: va });
+    else if (fb.get(path) !== va) changes.push({ path, type: 'changed', a: va, b: fb.get(path) });
+  }
+  for (const [path, vb] of fb) {
+    if (!fa.has(path)) changes.push({ path, type: 'added', b: vb });
+  }
+  return changes;
+}
@@ -1,88 +1,204 @@
-import { formatBytes } from './utils.js';
+import { PIPELINE_OPS } from './image-pipeline.js';
 
 const MAX_SIZE_KB = 100;
+const MAX_FILES = 16;
 
-async function compressImage(file, quality = 0.8) {
+// Compression, page encoding and base64 run in a module worker when the browser has workers and
+// OffscreenCanvas; otherwise (or if the worker fails to start) the same code runs here.
+let worker = null;
+let workerUnavailable = typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined';
+let nextCallId = 0;
+const pending = new Map();
+
+function getWorker() {
+  if (workerUnavailable) return null;
+  if (worker) return worker;
+  try {
+    worker = new Worker(new URL('./upload-worker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    console.error('Upload worker unavailable, processing files on the main thread:', e);
+    workerUnavailable = true;
+    return null;
+  }
+  worker.onmessage = ({ data }) => {
+    const call = pending.get(data.id);
+    if (!call) return;
+    pending.delete(data.id);
+    if (data.ok) call.resolve(data.result);
+    else call.reject(new Error(data.error));
+  };
+  worker.onerror = (e) => {
+    console.error('Upload worker failed, processing files on the main thread:', e.message);
+    workerUnavailable = true;
+    worker.terminate();
+    worker = null;
+    const calls = [...pending.values()];
+    pending.clear();
+    calls.forEach(call => call.retry());
+  };
+  return worker;
+}
+
+// Transferred objects are detached once posted, so a call that transfers any is retried on the
+// main thread with `fallback` (a payload that does not depend on them) if the worker dies.
+function runPipeline(op, payload, { transfer = [], fallback = transfer.length ? null : payload } = {}) {
+  const w = getWorker();
+  if (!w) return PIPELINE_OPS[op](fallback || payload);
   return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.src = URL.createObjectURL(file);
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      canvas.width = img.width;
-      canvas.height = img.height;
-      ctx.drawImage(img, 0, 0);
-      canvas.toBlob(async (blob) => {
-        if (!blob) return reject(new Error('Canvas to Blob failed'));
-
-        const compressedFile = new File([blob], file.name, { type: 'image/jpeg', lastModified: Date.now() });
-
-        if (compressedFile.size > MAX_SIZE_KB * 1024 && quality > 0.1) {
-          resolve(await compressImage(file, quality - 0.1));
-        } else {
-          resolve(compressedFile);
-        }
-      }, 'image/jpeg', quality);
-    };
-    img.onerror = reject;
+    const id = ++nextCallId;
+    const retry = () => (fallback
+      ? PIPELINE_OPS[op](fallback).then(resolve, reject)
+      : reject(new Error(`Upload worker failed during ${op}`)));
+    pending.set(id, { resolve, reject, retry });
+    w.postMessage({ id, op, payload }, transfer);
   });
 }
 
-async function handlePdfFile(file) {
-  const loadingTask = pdfjsLib.getDocument(URL.createObjectURL(file));
-  const pdf = await loadingTask.promise;
-  const newFiles = [];
-
-  for (let i = 1; i <= pdf.numPages; i++) {
-    const page = await pdf.getPage(i);
-    const viewport = page.getViewport({ scale: 1.5 });
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.height = viewport.height;
-    canvas.width = viewport.width;
-
-    await page.render({ canvasContext: context, viewport: viewport }).promise;
-    
-    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg'));
-    const newFile = new File([blob], `${file.name}-p${i}.jpg`, { type: 'image/jpeg' });
-    newFiles.push(newFile);
+// How uploads are turned into request parts. `pdfContent` is one of PDF_CONTENT_MODES; quality
+// only applies to JPEG. Options are read when files are added, so each upload keeps its own.
+export const DEFAULT_UPLOAD_OPTIONS = {
+  pdfPages: '',
+  pdfScale: 1.5,
+  pdfFormat: 'jpeg',
+  pdfQuality: 0.92,
+  pdfContent: 'images',
+  compress: true,
+};
+
+export const PDF_CONTENT_MODES = {
+  images: { images: true },
+  'images+text': { images: true, text: true },
+  text: { text: true },
+  pdf: { original: true },
+  'images+pdf': { images: true, original: true },
+};
+
+// "1-3, 5, 8-" → [1, 2, 3, 5, 8, …, numPages]; empty means every page.
+export function parsePageRange(spec, numPages) {
+  if (!String(spec || '').trim()) return Array.from({ length: numPages }, (_, i) => i + 1);
+  const pages = new Set();
+  for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+    const m = part.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+    if (!m || (!m[1] && !m[3])) throw new Error(`Invalid page range "${part}"`);
+    const from = parseInt(m[1] || '1', 10);
+    const to = m[2] ? parseInt(m[3] || String(numPages), 10) : from;
+    if (from < 1 || to < from) throw new Error(`Invalid page range "${part}"`);
+    for (let p = from; p <= Math.min(to, numPages); p++) pages.add(p);
   }
-  return newFiles;
+  if (!pages.size) throw new Error(`Page range "${spec}" is outside the document (${numPages} pages)`);
+  return [...pages].sort((a, b) => a - b);
 }
 
-export async function processFiles(files, uploadedFiles, statusEl) {
-  statusEl.textContent = 'Processing files...';
+// pdf.js needs a DOM canvas to render (its parsing already runs in its own worker); encoding
+// the pixels to PNG or JPEG is handed to the upload worker as a transferred ImageBitmap.
+async function renderPdfPage(page, options) {
+  const viewport = page.getViewport({ scale: options.pdfScale });
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.height = viewport.height;
+  canvas.width = viewport.width;
+  await page.render({ canvasContext: context, viewport: viewport }).promise;
+  const type = options.pdfFormat === 'png' ? 'image/png' : 'image/jpeg';
+  if (!getWorker() || typeof createImageBitmap !== 'function') return runPipeline('encodePage', { source: canvas, type, quality: options.pdfQuality });
+  const bitmap = await createImageBitmap(canvas);
+  // The canvas is kept until the worker answers, to encode from if it fails.
+  try {
+    return await runPipeline('encodePage', { source: bitmap, type, quality: options.pdfQuality }, {
+      transfer: [bitmap],
+      fallback: { source: canvas, type, quality: options.pdfQuality },
+    });
+  } finally {
+    canvas.width = canvas.height = 0;
+  }
+}
+
+async function pageText(page) {
+  const content = await page.getTextContent();
+  return content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join('').replace(/[ \t]+\n/g, '\n').trim();
+}
+
+async function handlePdfFile(file, options, onProgress) {
+  const mode = PDF_CONTENT_MODES[options.pdfContent] || PDF_CONTENT_MODES.images;
+  const url = URL.createObjectURL(file);
+  let pdf = null;
+  try {
+    pdf = await pdfjsLib.getDocument(url).promise;
+    const pages = parsePageRange(options.pdfPages, pdf.numPages);
+    const newFiles = [];
+    const texts = [];
 
-  const MAX_FILES = 16;
+    for (const [k, i] of pages.entries()) {
+      onProgress(`page ${i} (${k + 1}/${pages.length})`);
+      const page = await pdf.getPage(i);
+      if (mode.images) {
+        const blob = await renderPdfPage(page, options);
+        const newFile = new File([blob], `${file.name}-p${i}.${options.pdfFormat === 'png' ? 'png' : 'jpg'}`, { type: blob.type });
+        newFile.page = i;
+        newFiles.push(newFile);
+      }
+      if (mode.text) texts.push({ page: i, text: await pageText(page) });
+    }
 
-  for (let file of files) {
+    if (mode.text) {
+      if (texts.some(t => t.text)) {
+        const textFile = new File([texts.map(t => `--- Page ${t.page} ---\n${t.text}`).join('\n\n')], `${file.name}.txt`, { type: 'text/plain' });
+        textFile.pages = pages;
+        newFiles.push(textFile);
+      } else {
+        alert(`${file.name} has no text layer (scanned PDF?); it was not sent as text.`);
+      }
+    }
+    if (mode.original) {
+      file.pages = Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+      newFiles.push(file);
+    }
+    return newFiles;
+  } finally {
+    pdf?.destroy();
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function compressFile(file) {
+  const { blob, quality, scale } = await runPipeline('compress', { blob: file, maxBytes: MAX_SIZE_KB * 1024 });
+  const compressed = new File([blob], file.name, { type: 'image/jpeg', lastModified: Date.now() });
+  Object.assign(compressed, { compressed: true, originalSize: file.size, quality, scale, page: file.page });
+  return compressed;
+}
+
+// The MAX_FILES cap applies to `uploadedFiles`, i.e. to one test (or one dataset case).
+export async function processFiles(files, uploadedFiles, statusEl, caseName = '', options = DEFAULT_UPLOAD_OPTIONS) {
+  const prefix = caseName ? `${caseName}: ` : '';
+  const progress = (file, index, step) => {
+    statusEl.textContent = `${prefix}Processing ${file.name} (${index + 1}/${files.length})${step ? ` — ${step}` : ''}…`;
+  };
+
+  for (const [index, file] of [...files].entries()) {
     if (uploadedFiles.length >= MAX_FILES) {
-      alert(`You can only upload a maximum of ${MAX_FILES} files.`);
+      alert(`${prefix}You can only upload a maximum of ${MAX_FILES} files.`);
       break;
     }
+    progress(file, index);
 
     let filesToAdd = [];
     if (file.type === 'application/pdf') {
       try {
-        filesToAdd = await handlePdfFile(file);
+        filesToAdd = await handlePdfFile(file, options, step => progress(file, index, step));
       } catch (err) {
         console.error("PDF processing failed:", err);
-        alert(`Failed to process PDF: ${file.name}`);
+        alert(`Failed to process PDF: ${file.name}${err.message ? ` (${err.message})` : ''}`);
       }
     } else {
       filesToAdd.push(file);
     }
 
     for (let f of filesToAdd) {
-      if (f.size > MAX_SIZE_KB * 1024) {
+      // Only images are recompressed; text layers and original PDFs are sent as they are.
+      if (options.compress && f.type.startsWith('image/') && f.size > MAX_SIZE_KB * 1024) {
+        progress(file, index, `compressing ${f.name}`);
         try {
-          const compressedFile = await compressImage(f);
-          if (compressedFile.size < f.size) {
-            compressedFile.compressed = true;
-            uploadedFiles.push(compressedFile);
-          } else {
-            uploadedFiles.push(f);
-          }
+          const compressedFile = await compressFile(f);
+          uploadedFiles.push(compressedFile.size < f.size ? compressedFile : f);
         } catch (err) {
           console.error("Compression failed:", err);
           uploadedFiles.push(f);
@@ -96,21 +212,60 @@ export async function processFiles(files, uploadedFiles, statusEl) {
   statusEl.textContent = 'Idle.';
 }
 
-export function fileToBase64(file) {
-  return new Promise((resolve, reject) => {
-    const fr = new FileReader();
-    fr.onload = () => resolve(fr.result.split(',')[1]);
-    fr.onerror = reject;
-    fr.readAsDataURL(file);
+export async function fingerprintFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return {
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    sha256: [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join(''),
+  };
+}
+
+// Small JPEG data URL for embedding in reports; null for anything that is not an image.
+export function fileThumbnail(file, maxSize = 160) {
+  if (!file.type.startsWith('image/')) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    img.src = url;
   });
 }
 
-export async function filesToInlineParts(fileList) {
+// Files never change once added, so each one is encoded at most once across runs.
+const inlinePartCache = new WeakMap();
+
+function inlinePart(file) {
+  if (!inlinePartCache.has(file)) {
+    // Extracted PDF text layers go in as text so both providers can read them.
+    const part = file.type === 'text/plain'
+      ? file.text().then(text => ({ text }))
+      : runPipeline('base64', { blob: file }).then(data => ({ inline_data: { mime_type: file.type || 'application/octet-stream', data } }));
+    part.catch(() => inlinePartCache.delete(file));
+    inlinePartCache.set(file, part);
+  }
+  return inlinePartCache.get(file);
+}
+
+export async function filesToInlineParts(fileList, onProgress) {
   const files = Array.from(fileList || []);
   const parts = [];
-  for (const f of files) {
-    const b64 = await fileToBase64(f);
-    parts.push({ inline_data: { mime_type: f.type || 'application/octet-stream', data: b64 } });
+  for (const [i, f] of files.entries()) {
+    onProgress?.(i + 1, files.length, f);
+    parts.push(await inlinePart(f));
   }
   return parts;
-}
\ No newline at end of file
+}
@@ -0,0 +1,90 @@
+// Image encoding, compression and base64 steps of the upload pipeline. upload-worker.js runs them
+// off the main thread; file-handler.js calls them directly when workers or OffscreenCanvas are
+// unavailable, so nothing here may touch the DOM unless OffscreenCanvas is missing.
+
+const makeCanvas = (width, height) => (typeof OffscreenCanvas !== 'undefined'
+  ? new OffscreenCanvas(width, height)
+  : Object.assign(document.createElement('canvas'), { width, height }));
+
+const canvasToBlob = (canvas, type, quality) => (canvas.convertToBlob
+  ? canvas.convertToBlob({ type, quality })
+  : new Promise((resolve, reject) => canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Canvas to Blob failed'))), type, quality)));
+
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Image could not be decoded'));
+    };
+    img.src = url;
+  });
+}
+
+// Decoded once per file; every quality and scale step below draws from the same bitmap.
+const decode = blob => (typeof createImageBitmap === 'function' ? createImageBitmap(blob) : loadImage(blob));
+
+function draw(image, scale) {
+  const canvas = makeCanvas(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// Encodes a rendered PDF page (an ImageBitmap from the worker's point of view, or a canvas).
+async function encodePage({ source, type, quality }) {
+  if (source.getContext) return canvasToBlob(source, type, quality);
+  const canvas = draw(source, 1);
+  source.close();
+  return canvasToBlob(canvas, type, quality);
+}
+
+// JPEG under `maxBytes`: the highest quality that fits, found by binary search between
+// minQuality and maxQuality; when even minQuality is too large the image is downscaled and the
+// search repeated. Below minScale the smallest attempt is returned as is.
+async function compress({ blob, maxBytes, maxQuality = 0.92, minQuality = 0.4, minScale = 0.35, steps = 6 }) {
+  const image = await decode(blob);
+  let smallest = null;
+  try {
+    for (let scale = 1; scale >= minScale; scale *= 0.75) {
+      const canvas = draw(image, scale);
+      const attempt = async (quality) => {
+        const out = { blob: await canvasToBlob(canvas, 'image/jpeg', quality), quality, scale };
+        if (!smallest || out.blob.size < smallest.blob.size) smallest = out;
+        return out;
+      };
+      const top = await attempt(maxQuality);
+      if (top.blob.size <= maxBytes) return top;
+      let lo = minQuality, hi = maxQuality, best = null;
+      const floor = await attempt(lo);
+      if (floor.blob.size > maxBytes) continue;
+      best = floor;
+      for (let i = 0; i < steps; i++) {
+        const mid = await attempt((lo + hi) / 2);
+        if (mid.blob.size <= maxBytes) {
+          best = mid;
+          lo = mid.quality;
+        } else {
+          hi = mid.quality;
+        }
+      }
+      return best;
+    }
+    return smallest;
+  } finally {
+    image.close?.();
+  }
+}
+
+async function base64({ blob }) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+export const PIPELINE_OPS = { encodePage, compress, base64 };
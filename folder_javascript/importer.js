@@ -0,0 +1,43 @@
+import { scoreAgainstReference } from './metrics.js';
+
+export function parseExport(text, name) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${name}: not valid JSON (${e.message})`);
+  }
+  if (!data || !Array.isArray(data.results)) {
+    throw new Error(`${name}: not an exported results file (missing "results")`);
+  }
+  return {
+    name,
+    meta: data.meta || {},
+    prompt: data.prompt ?? '',
+    expected: data.expected ?? null,
+    attachments: Array.isArray(data.attachments) ? data.attachments : [],
+    results: data.results,
+  };
+}
+
+// Combines imported files into one run list numbered 1..n. Accuracy is recomputed with the
+// current scoring code against each file's own expected output, or `reference` when it has none.
+export function mergeImports(imports, { reference = '', tolerance = 0, startIndex = 1 } = {}) {
+  const merged = [];
+  for (const file of imports) {
+    const expected = file.expected || reference;
+    for (const r of file.results) {
+      const result = {
+        ...r,
+        index: startIndex + merged.length,
+        source: r.source || file.name,
+        sourceIndex: r.sourceIndex ?? r.index,
+        attempts: r.attempts || [],
+      };
+      delete result.accuracy;
+      if (expected && result.ok) result.accuracy = scoreAgainstReference(result.text, expected, { tolerance });
+      merged.push(result);
+    }
+  }
+  return merged;
+}
@@ -1,116 +1,1130 @@
-import { elements, renderRow, updateProgress, resetUIState, renderPreviews, showModal, hideModal, loadTemplates } from './ui.js';
-import { dbSet, loadApiKey } from './db.js';
-import { processFiles, filesToInlineParts } from './file-handler.js';
-import { callGemini } from './api.js';
-import { normalizeText, jaccard, majority } from './utils.js';
+import { elements, renderRow, updateProgress, resetUIState, renderPreviews, showModal, hideModal, loadTemplates, renderTemplateOptions, renderTemplateVersions, renderTemplateVariables, readTemplateVariables, renderJsonMetrics, renderAccuracy, renderSweep, renderModelCheckboxes, renderComparison, renderDiff, renderHistory, renderHistoryCompare, markMajorityRows, diffHtml, jsonDiffHtml, escapeHtml, renderClusters, renderLiveRow, renderBatch, renderUsage, renderFinishReasons, renderSchemaValidity, renderPriceTable, addPriceRow, readPriceTable, renderSafetySettings, readSafetySettings, renderErrorCategories, errorLabel, setExportsDisabled, renderStats, renderTurnMetrics } from './ui.js';
+import { dbGet, dbSet, loadApiKey, historyAdd, historyList, historyDelete, templatesList, templatesPut, templatesDelete, recordingsCount, recordingsClear } from './db.js';
+import { processFiles, filesToInlineParts, fingerprintFile, fileThumbnail, DEFAULT_UPLOAD_OPTIONS } from './file-handler.js';
+import { createThrottle } from './scheduler.js';
+import { runSeries } from './runner.js';
+import { PROVIDERS, getProvider } from './providers.js';
+import { computeMetrics, computeJsonMetrics, computeAccuracy, summarizeRuns, clusterResponses, scoredRuns, countFinishReasons } from './metrics.js';
+import { normalizeText, formatCost } from './utils.js';
+import { parseList, parseNumberList, buildCombinations, MAX_SWEEP_CELLS } from './sweep.js';
+import { diffWords, diffLines, diffJson } from './diff.js';
+import { parseExport, mergeImports } from './importer.js';
+import { collectEntries, groupCases, summarizeCase, summarizeBatch } from './dataset.js';
+import { DEFAULT_PRICES, resultCost, summarizeUsage } from './pricing.js';
+import { computeStats } from './stats.js';
+import { DEFAULT_MOCK_CONFIG, parseMockConfig, createMockTransport } from './mock.js';
+import { NETWORK_MODES, createRecordingTransport, createReplayTransport } from './replay.js';
+import { EXAMPLE_CONVERSATION, parseConversation, planConversation, computeTurnMetrics, formatTranscript } from './conversation.js';
+import { redact, buildReport, toHtmlReport, toMarkdownReport, toCsv } from './report.js';
+import { extractVariables, renderTemplate, fromBundled, mergeTemplates, createTemplate, addVersion, sameSchema, getVersion, templateRef, buildPack, parsePack, importTemplate } from './templates.js';
+import { parseSchema, summarizeValidation } from './schema.js';
+import { DEFAULT_RETRY_POLICY, countErrorCategories } from './retry.js';
 
 let cancelFlag = false;
+let cancelController = null;
 let lastResults = [];
 let uploadedFiles = [];
+let bundledTemplates = [];
 let templates = [];
+// Settings and attachments of the results on screen (a test, a saved test, an import or one sweep
+// cell, comparison column or batch case), for exports and reports.
+let shownRun = null;
+let prices = DEFAULT_PRICES;
+let lastSweep = null;
+let lastComparison = [];
+let comparisonContext = null;
+let historyEntries = [];
+let currentDiff = null;
+let datasetCases = [];
+let lastBatch = null;
 
-function computeMetrics(texts) {
-  const norm = texts.map(normalizeText);
-  const { value: mode, count } = majority(norm);
-  const exactRate = texts.length ? (count / texts.length) : 0;
-  const sims = norm.map(s => jaccard(mode, s));
-  const avgJ = sims.length ? sims.reduce((a, b) => a + b, 0) / sims.length : 0;
-  return { exactRate, avgJaccard: avgJ, majorityNormalized: mode };
+const metricOptions = () => ({ excludeFlagged: elements.excludeFlaggedEl.checked });
+
+function renderMetrics() {
+  const okResults = scoredRuns(lastResults, metricOptions());
+  const texts = okResults.map(r => r.text);
+  const metrics = computeMetrics(texts);
+  const { exactRate, avgJaccard, majorityNormalized } = metrics;
+
+  elements.rateExact.textContent = texts.length ? (exactRate * 100).toFixed(1) + '%' : '–';
+  elements.rateJaccard.textContent = texts.length ? (avgJaccard * 100).toFixed(1) + '%' : '–';
+  elements.majorityText.textContent = texts.length ? majorityNormalized : '–';
+  elements.rateEdit.textContent = texts.length ? (metrics.avgEditSimilarity * 100).toFixed(1) + '%' : '–';
+  elements.rateNgram.textContent = texts.length ? (metrics.avgNgramSimilarity * 100).toFixed(1) + '%' : '–';
+  elements.answerEntropy.textContent = texts.length ? `${metrics.entropy.toFixed(2)} bits` : '–';
+  elements.answerEntropy.title = texts.length ? `Normalized: ${(metrics.normalizedEntropy * 100).toFixed(1)}% of the maximum` : '';
+
+  const threshold = Math.min(1, Math.max(0, parseFloat(elements.clusterThresholdEl.value)));
+  renderClusters(clusterResponses(texts, { threshold: Number.isNaN(threshold) ? 0.9 : threshold }), okResults.map(r => (r.candidate ? `${r.index}.${r.candidate}` : r.index)));
+  renderTurnMetrics(turnMetrics());
+
+  const jsonMode = elements.scoringModeEl.value === 'json';
+  renderJsonMetrics(jsonMode && texts.length ? computeJsonMetrics(texts) : null);
+  renderAccuracy(computeAccuracy(okResults));
+  renderUsage(summarizeUsage(lastResults, prices));
+  renderFinishReasons(countFinishReasons(lastResults), lastResults.filter(r => r.ok && r.flag).length, metricOptions().excludeFlagged);
+  renderSchemaValidity(summarizeValidation(okResults));
+  renderErrorCategories(countErrorCategories(lastResults));
+  renderStats(computeStats(lastResults, metricOptions()), lastResults);
+  markMajorityRows(lastResults.map(r => okResults.some(o => o.index === r.index && normalizeText(o.text) === majorityNormalized)));
+  return texts;
 }
 
-async function runTest() {
+// Only worth a table when more than the last turn was generated.
+function turnMetrics() {
+  if (!elements.conversationPerTurnEl.checked) return null;
+  const turns = computeTurnMetrics(lastResults, metricOptions());
+  return turns.length > 1 ? turns : null;
+}
+
+const resultText = r => r.text || r.error || '';
+
+function openDiff(a, b) {
+  currentDiff = { a, b };
+  renderCurrentDiff();
+}
+
+function renderCurrentDiff() {
+  if (!currentDiff) return;
+  const { a, b } = currentDiff;
+  const mode = elements.diffModeEl.value;
+  let body;
+  if (normalizeText(a.text) === normalizeText(b.text)) {
+    body = 'Identical after normalization (case and whitespace ignored).\n\n' + diffHtml(diffWords(a.text, b.text));
+  } else if (mode === 'json') {
+    const changes = diffJson(a.text, b.text);
+    body = changes === null ? 'Key-level diff needs both outputs to be valid JSON.' : (changes.length ? jsonDiffHtml(changes) : 'No key-level differences.');
+  } else {
+    body = diffHtml(mode === 'line' ? diffLines(a.text, b.text) : diffWords(a.text, b.text));
+  }
+  const header = `<del class="diff-del">--- ${escapeHtml(a.label)}</del>\n<ins class="diff-ins">+++ ${escapeHtml(b.label)}</ins>\n\n`;
+  showModal(header + body, 'diff');
+}
+
+function diffSelectedRuns() {
+  const selected = [...elements.resultsTableBody.querySelectorAll('.run-select:checked')]
+    .map(cb => lastResults[parseInt(cb.dataset.resultIndex, 10)])
+    .filter(Boolean);
+  if (selected.length !== 2) {
+    alert('Select exactly two runs to diff.');
+    return;
+  }
+  const [a, b] = selected;
+  openDiff({ label: `Run #${a.index}`, text: resultText(a) }, { label: `Run #${b.index}`, text: resultText(b) });
+}
+
+function resetCancel() {
   cancelFlag = false;
-  lastResults = [];
-  resetUIState();
+  cancelController = new AbortController();
+}
+
+function setBusy(busy) {
+  elements.runBtn.disabled = busy;
+  elements.sweepRunBtn.disabled = busy;
+  elements.compareRunBtn.disabled = busy;
+  elements.schemaCompareBtn.disabled = busy;
+  elements.batchRunBtn.disabled = busy || !datasetCases.length;
+  elements.cancelBtn.disabled = !busy;
+}
+
+// The editor's schema (null when empty), or undefined after alerting that it cannot be used.
+function readSchema() {
+  try {
+    return parseSchema(elements.responseSchemaEl.value);
+  } catch (e) {
+    alert(e.message);
+    return undefined;
+  }
+}
+
+function updateSchemaStatus() {
+  try {
+    const schema = parseSchema(elements.responseSchemaEl.value);
+    elements.schemaStatusEl.textContent = schema ? 'Schema OK.' : 'No schema: runs are not validated.';
+  } catch (e) {
+    elements.schemaStatusEl.textContent = e.message;
+  }
+}
+
+function formatSchema() {
+  const schema = readSchema();
+  if (schema) elements.responseSchemaEl.value = JSON.stringify(schema, null, 2);
+}
+
+const optionalInt = (value, min = -Infinity) => {
+  const v = parseInt(value, 10);
+  return Number.isNaN(v) ? null : Math.max(min, v);
+};
 
+// Generation settings beyond temperature, Top-P and thinking budget; null means the model default.
+function readGenerationSettings() {
+  return {
+    topK: optionalInt(elements.topKEl.value, 1),
+    maxOutputTokens: optionalInt(elements.maxOutputTokensEl.value, 1),
+    seed: optionalInt(elements.seedEl.value),
+    candidateCount: parseInt(elements.candidateCountEl.value, 10) || 1,
+    stopSequences: elements.stopSequencesEl.value.split(/\r?\n/).filter(Boolean),
+    systemInstruction: elements.systemInstructionEl.value.trim() || null,
+    safetySettings: readSafetySettings(),
+  };
+}
+
+function applyGenerationSettings(settings) {
+  elements.topKEl.value = settings.topK ?? '';
+  elements.maxOutputTokensEl.value = settings.maxOutputTokens ?? '';
+  elements.seedEl.value = settings.seed ?? '';
+  elements.candidateCountEl.value = String(settings.candidateCount || 1);
+  elements.stopSequencesEl.value = (settings.stopSequences || []).join('\n');
+  elements.systemInstructionEl.value = settings.systemInstruction || '';
+  renderSafetySettings(settings.safetySettings);
+}
+
+const saveGenerationSettings = () => dbSet('generation_settings', readGenerationSettings()).catch(console.error);
+
+function readRetryPolicy() {
+  const statuses = parseNumberList(elements.retryStatusesEl.value).map(Math.round);
+  return {
+    maxAttempts: Math.max(1, parseInt(elements.retryMaxAttemptsEl.value, 10) || DEFAULT_RETRY_POLICY.maxAttempts),
+    baseDelayMs: Math.max(0, parseInt(elements.retryBaseDelayEl.value, 10) || 0),
+    maxDelayMs: Math.max(0, parseInt(elements.retryMaxDelayEl.value, 10) || DEFAULT_RETRY_POLICY.maxDelayMs),
+    jitter: elements.retryJitterEl.checked,
+    retryStatuses: statuses,
+    retryTimeouts: elements.retryTimeoutsEl.checked,
+    retryNetworkErrors: elements.retryNetworkEl.checked,
+    honorRetryAfter: elements.retryHonorAfterEl.checked,
+  };
+}
+
+function applyRetryPolicy(policy) {
+  const p = { ...DEFAULT_RETRY_POLICY, ...policy };
+  elements.retryMaxAttemptsEl.value = p.maxAttempts;
+  elements.retryBaseDelayEl.value = p.baseDelayMs;
+  elements.retryMaxDelayEl.value = p.maxDelayMs;
+  elements.retryStatusesEl.value = p.retryStatuses.join(', ');
+  elements.retryJitterEl.checked = p.jitter;
+  elements.retryTimeoutsEl.checked = p.retryTimeouts;
+  elements.retryNetworkEl.checked = p.retryNetworkErrors;
+  elements.retryHonorAfterEl.checked = p.honorRetryAfter;
+}
+
+const saveRetryPolicy = () => dbSet('retry_policy', readRetryPolicy()).catch(console.error);
+
+// Everything besides the prompt, model and attachments that is needed to reproduce a run.
+const generationConfig = ({ temperature, topP, thinkingBudget, topK, maxOutputTokens, seed, stopSequences, candidateCount, systemInstruction, safetySettings, responseSchema }) =>
+  ({ temperature, topP, thinkingBudget, topK, maxOutputTokens, seed, stopSequences, candidateCount, systemInstruction, safetySettings, responseSchema });
+
+const schemaInfo = settings => settings.schema && { schema: settings.schema, enforced: Boolean(settings.params.responseSchema) };
+
+// What exports and reports record about a set of runs. `params` are request parameters as stored
+// with saved tests; a variant's overrides (model, schema…) are merged into them by the caller.
+const describeRun = ({ params, runs, startTime = null, endTime = null, expected = null, networkMode = 'live', conversation = null, template = null, schema = null, attachments = [], files = [], apiKey = null }) => ({
+  provider: params.provider || 'gemini',
+  model: params.model,
+  runs,
+  startTime,
+  endTime,
+  prompt: params.prompt ?? '',
+  expected,
+  generationConfig: generationConfig(params),
+  retryPolicy: params.retryPolicy || null,
+  networkMode,
+  conversation,
+  template,
+  schema: schema && { schema: schema.schema, enforced: Boolean(params.responseSchema) },
+  apiKey,
+  attachments,
+  files,
+});
+
+// describeRun's input shared by every run of one test, sweep, comparison or batch.
+const runContext = (settings, attachments, files = [...uploadedFiles]) => ({
+  params: settings.params,
+  runs: settings.N,
+  expected: settings.reference || null,
+  networkMode: settings.networkMode,
+  conversation: settings.conversation,
+  template: settings.template,
+  schema: schemaInfo(settings),
+  apiKey: settings.params.apiKey,
+  attachments,
+  files,
+});
+
+// One sweep cell, comparison column or batch case, timed by its own runs.
+const describeVariant = (context, results, overrides = {}) => describeRun({
+  ...context,
+  params: { ...context.params, ...overrides },
+  runs: results.length,
+  startTime: results.find(r => r.startTime)?.startTime || null,
+  endTime: results.map(r => r.endTime).filter(Boolean).sort().pop() || null,
+});
+
+const describeSavedTest = entry => describeRun({
+  params: { ...entry.parameters, prompt: entry.prompt },
+  runs: entry.results.length,
+  startTime: entry.createdAt,
+  endTime: entry.endTime,
+  expected: entry.expected,
+  networkMode: entry.parameters.networkMode,
+  conversation: entry.parameters.conversation,
+  template: entry.template,
+  schema: entry.schema,
+  attachments: entry.attachments || [],
+});
+
+// Exported files carry their own meta; several files are described by the first one.
+const describeImport = (imports, results) => {
+  const [{ meta, prompt, expected, attachments }] = imports;
+  return describeRun({
+    params: { ...meta.generationConfig, provider: meta.provider, model: [...new Set(imports.map(i => i.meta.model).filter(Boolean))].join(', '), prompt, retryPolicy: meta.retryPolicy },
+    runs: results.length,
+    startTime: meta.startTime || null,
+    endTime: meta.endTime || null,
+    expected,
+    networkMode: meta.networkMode,
+    conversation: meta.conversation,
+    template: meta.template,
+    schema: meta.schema,
+    attachments,
+  });
+};
+
+function readRunSettings() {
+  const provider = getProvider(elements.providerEl.value);
   const apiKey = elements.apiKeyEl.value.trim();
-  if (!apiKey) {
-    alert('Please enter your Gemini API key.');
-    return;
+  // Replay never reaches the provider, and recordings are keyed without the API key.
+  if (provider.requiresKey && !apiKey && elements.networkModeEl.value !== 'replay') {
+    alert(`Please enter your ${provider.label} API key.`);
+    return null;
   }
   const prompt = elements.promptEl.value.trim();
   if (!prompt) {
     alert('Please enter a prompt.');
-    return;
+    return null;
+  }
+  const variables = readTemplateVariables();
+  const missing = extractVariables(prompt).filter(name => !variables[name]?.trim());
+  if (missing.length) {
+    alert(`Please fill in the template variables: ${missing.join(', ')}`);
+    return null;
+  }
+  const schema = readSchema();
+  if (schema === undefined) return null;
+  const enforceSchema = elements.enforceSchemaEl.checked;
+  if (enforceSchema && !schema) {
+    alert('Enter a response schema to enforce, or untick "Enforce the schema".');
+    return null;
+  }
+  const generation = readGenerationSettings();
+  if (generation.candidateCount > 1 && elements.streamEl.checked) {
+    alert('Streaming returns a single candidate. Set Candidate Count to 1 or turn off streaming.');
+    return null;
+  }
+  if (generation.stopSequences.length > 5) {
+    alert('Enter at most 5 stop sequences.');
+    return null;
+  }
+  const conversation = readConversation();
+  if (conversation === undefined) return null;
+  const transport = readTransport(provider);
+  if (!transport) return null;
+  const template = selectedTemplate();
+  return {
+    N: parseInt(elements.runsEl.value, 10) || 5,
+    concurrency: Math.min(8, Math.max(1, parseInt(elements.concurrencyEl.value, 10) || 1)),
+    rpm: Math.max(0, parseInt(elements.rpmLimitEl.value, 10) || 0),
+    delayMs: Math.max(0, parseInt(elements.delayMsEl.value, 10) || 0),
+    reference: elements.expectedOutputEl.value.trim(),
+    tolerance: Math.max(0, parseFloat(elements.numericToleranceEl.value) || 0),
+    template: template && templateRef(template, parseInt(elements.templateVersionEl.value, 10), prompt, variables),
+    schema,
+    networkMode: elements.networkModeEl.value,
+    conversation,
+    params: {
+      provider: provider.id,
+      apiKey,
+      model: elements.customModelEl.value.trim() || elements.modelEl.value,
+      prompt: renderTemplate(prompt, variables),
+      temperature: parseFloat(elements.temperatureEl.value),
+      topP: parseFloat(elements.topPEl.value),
+      thinkingBudget: Math.max(0, parseInt((elements.thinkingBudgetNumEl && elements.thinkingBudgetNumEl.value) || (elements.thinkingBudgetEl && elements.thinkingBudgetEl.value) || '0', 10) || 0),
+      ...generation,
+      timeoutMs: parseInt(elements.timeoutMsEl.value, 10) || 30000,
+      retryPolicy: readRetryPolicy(),
+      stream: elements.streamEl.checked,
+      baseUrl: elements.baseUrlEl.value.trim() || provider.defaultBaseUrl,
+      responseSchema: enforceSchema ? schema : null,
+      conversation: conversation && planConversation(conversation.turns, conversation),
+      signal: cancelController.signal,
+      transport,
+      onProgress: (message) => { elements.statusText.textContent = message; }
+    }
+  };
+}
+
+// The follow-up turns as { turns, ownAnswers }, null for a single-turn test or undefined (after an
+// alert) when the script is invalid.
+function readConversation() {
+  if (!elements.conversationEnabledEl.checked) return null;
+  try {
+    return { turns: parseConversation(elements.conversationScriptEl.value), ownAnswers: elements.conversationOwnAnswersEl.checked };
+  } catch (e) {
+    alert(e.message);
+    return undefined;
+  }
+}
+
+const saveConversationSettings = () => dbSet('conversation_settings', {
+  enabled: elements.conversationEnabledEl.checked,
+  script: elements.conversationScriptEl.value,
+  ownAnswers: elements.conversationOwnAnswersEl.checked,
+  perTurn: elements.conversationPerTurnEl.checked,
+}).catch(console.error);
+
+function applyConversationSettings(settings) {
+  elements.conversationEnabledEl.checked = Boolean(settings.enabled);
+  elements.conversationScriptEl.value = settings.script || JSON.stringify(EXAMPLE_CONVERSATION, null, 2);
+  elements.conversationOwnAnswersEl.checked = Boolean(settings.ownAnswers);
+  elements.conversationPerTurnEl.checked = settings.perTurn !== false;
+  elements.conversationWrapEl.style.display = settings.enabled ? 'block' : 'none';
+}
+
+// Where requests go: the network (or, for the mock provider, its synthetic answers), optionally
+// recorded on the way, or the recordings alone. A fresh transport per test restarts replay order.
+function readTransport(provider) {
+  const mode = elements.networkModeEl.value;
+  if (mode === 'replay') return createReplayTransport({ simulateLatency: elements.replayLatencyEl.checked });
+  let base = fetch;
+  if (provider.id === 'mock') {
+    try {
+      base = createMockTransport(parseMockConfig(elements.mockConfigEl.value));
+    } catch (e) {
+      alert(e.message);
+      return null;
+    }
   }
+  return mode === 'record' ? createRecordingTransport(base, { onRecorded: updateRecordingsStatus }) : base;
+}
+
+async function updateRecordingsStatus() {
+  const count = await recordingsCount().catch((e) => {
+    console.error('Failed to count recordings:', e);
+    return 0;
+  });
+  elements.recordingsStatus.textContent = count ? `${count} recorded request(s).` : 'No recorded requests.';
+}
 
-  elements.runBtn.disabled = true;
-  elements.cancelBtn.disabled = false;
-  elements.exportBtn.disabled = true;
+async function prepareImageParts() {
   elements.statusText.textContent = 'Preparing images…';
+  try {
+    return await filesToInlineParts(uploadedFiles, (i, n, file) => {
+      elements.statusText.textContent = `Encoding ${file.name} (${i}/${n})…`;
+    });
+  } catch (e) {
+    console.error(e);
+    alert('Failed to read images: ' + e.message);
+    return null;
+  }
+}
+
+const runBadge = result => result.ok && result.flag ? `<span class="badge ${result.flag === 'blocked' ? 'err' : 'warn'}" title="Finish reason: ${escapeHtml(result.finishReason || 'none')}">${result.flag}</span>`
+  : result.ok ? '<span class="badge ok">ok</span>'
+  : result.cancelled ? '<span class="badge warn">cancelled</span>'
+  : `<span class="badge err" title="${escapeHtml(errorLabel(result.errorCategory))}">${result.errorCategory ? `error · ${escapeHtml(errorLabel(result.errorCategory).toLowerCase())}` : 'error'}</span>`;
+
+const schemaBadge = result => result.validation && !result.validation.valid
+  ? ` <span class="badge warn" title="${escapeHtml(result.validation.errors[0] || '')}">schema ✗</span>`
+  : '';
+
+const statusBadge = result => runBadge(result) + schemaBadge(result);
+
+function displayResults(results, run = null) {
+  resetUIState();
+  lastResults = results;
+  shownRun = run;
+  lastResults.forEach(r => renderRow(r.index, statusBadge(r), r, resultCost(r, prices)));
+  renderMetrics();
+  setExportsDisabled(!shownRun || !lastResults.length);
+}
+
+function fingerprintUploads() {
+  return Promise.all(uploadedFiles.map(fingerprintFile)).catch((e) => {
+    console.error('Fingerprinting attachments failed:', e);
+    return uploadedFiles.map(f => ({ name: f.name, type: f.type, size: f.size, sha256: null }));
+  });
+}
+
+async function runTest() {
+  resetCancel();
+  lastResults = [];
+  resetUIState();
+
+  const settings = readRunSettings();
+  if (!settings) return;
+
+  setBusy(true);
 
   const globalStartIso = new Date().toISOString();
   const globalStartPerf = performance.now();
 
-  let imageParts = [];
+  const imageParts = await prepareImageParts();
+  if (!imageParts) {
+    setBusy(false);
+    return;
+  }
+  const attachments = await fingerprintUploads();
+
+  elements.statusText.textContent = settings.networkMode === 'live' ? 'Running…' : `Running (${NETWORK_MODES[settings.networkMode].toLowerCase()})…`;
+  const { N } = settings;
+  shownRun = describeRun({ ...runContext(settings, attachments), startTime: globalStartIso });
+
+  const { completed } = await runSeries({
+    ...settings,
+    params: { ...settings.params, imageParts },
+    total: N,
+    isCancelled: () => cancelFlag,
+    onResult: (result) => {
+      lastResults.push(result);
+      renderRow(result.index, statusBadge(result), result, resultCost(result, prices));
+    },
+    onSettled: (done, total) => updateProgress(done, total),
+    ...(settings.params.stream && { onPartial: renderLiveRow }),
+  });
+  if (cancelFlag && completed < N) {
+    renderRow(completed + 1, '<span class="badge warn">cancelled</span>', { latency: null, text: '—', attempts: [] });
+  }
+
+  const totalMs = Math.round(performance.now() - globalStartPerf);
+  renderMetrics();
+
+  elements.statusText.textContent = `Done. ${lastResults.length} runs in ${totalMs}ms. Success ${lastResults.filter(r => r.ok).length}/${lastResults.length}.`;
+  shownRun.endTime = new Date().toISOString();
+  setBusy(false);
+  setExportsDisabled(!lastResults.length);
+  await saveToHistory(settings, attachments, globalStartIso);
+}
+
+function buildExport() {
+  return {
+    meta: {
+      provider: shownRun.provider,
+      model: shownRun.model,
+      runs: shownRun.runs,
+      timestamp: shownRun.startTime,
+      startTime: shownRun.startTime,
+      endTime: shownRun.endTime,
+      totalDurationMs: lastResults.reduce((sum, r) => sum + (r.latency || 0), 0),
+      generationConfig: shownRun.generationConfig,
+      retryPolicy: shownRun.retryPolicy,
+      networkMode: shownRun.networkMode,
+      conversation: shownRun.conversation,
+      template: shownRun.template,
+      schema: shownRun.schema,
+      usage: summarizeUsage(lastResults, prices),
+      stats: computeStats(lastResults, metricOptions()),
+      ...(shownRun.conversation && elements.conversationPerTurnEl.checked && { turnMetrics: computeTurnMetrics(lastResults, metricOptions()) }),
+      prices,
+      excludeFlagged: elements.excludeFlaggedEl.checked,
+    },
+    prompt: shownRun.prompt,
+    expected: shownRun.expected,
+    attachments: shownRun.attachments,
+    results: lastResults.map(r => ({ ...r, cost: resultCost(r, prices) }))
+  };
+}
+
+// Imported and saved results have no key of their own; the one in the form is scrubbed too.
+const reportSecrets = () => [shownRun.apiKey, elements.apiKeyEl.value.trim()].filter(Boolean);
+
+function reportInput() {
+  const { meta, prompt, expected } = buildExport();
+  const threshold = Math.min(1, Math.max(0, parseFloat(elements.clusterThresholdEl.value)));
+  return {
+    meta,
+    prompt,
+    expected,
+    results: lastResults,
+    attachments: shownRun.attachments,
+    prices,
+    excludeFlagged: elements.excludeFlaggedEl.checked,
+    clusterThreshold: Number.isNaN(threshold) ? 0.9 : threshold,
+  };
+}
+
+async function currentReport() {
+  const input = reportInput();
+  if (elements.reportThumbnailsEl.checked) {
+    const thumbnails = await Promise.all(shownRun.files.map(f => fileThumbnail(f)));
+    input.attachments = input.attachments.map((a, i) => ({ ...a, thumbnail: thumbnails[i] }));
+  }
+  return redact(buildReport(input), reportSecrets());
+}
+
+async function saveToHistory(settings, attachments, startTime) {
+  if (!lastResults.length) return;
+  const { apiKey, onProgress, signal, transport, prompt, conversation, ...parameters } = settings.params;
+  const entry = {
+    createdAt: startTime,
+    endTime: new Date().toISOString(),
+    prompt,
+    parameters: {
+      ...parameters,
+      runs: settings.N,
+      concurrency: settings.concurrency,
+      rpm: settings.rpm,
+      delayMs: settings.delayMs,
+      tolerance: settings.tolerance,
+      networkMode: settings.networkMode,
+      conversation: settings.conversation,
+      ...metricOptions(),
+    },
+    expected: settings.reference || null,
+    template: settings.template,
+    schema: schemaInfo(settings),
+    attachments,
+    results: lastResults,
+    metrics: {
+      ...summarizeRuns(lastResults, metricOptions()),
+      accuracy: computeAccuracy(scoredRuns(lastResults, metricOptions())),
+      usage: summarizeUsage(lastResults, prices),
+      finishReasons: countFinishReasons(lastResults),
+      errorCategories: countErrorCategories(lastResults),
+    },
+  };
+  try {
+    entry.id = await historyAdd(entry);
+    historyEntries.unshift(entry);
+    renderHistory(historyEntries, elements.historySearchEl.value);
+  } catch (e) {
+    console.error('Failed to save test to history:', e);
+  }
+}
+
+async function importResults(files) {
+  const imports = [];
+  const errors = [];
+  for (const file of files) {
+    try {
+      imports.push(parseExport(await file.text(), file.name));
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  if (errors.length) alert('Some files could not be imported:\n' + errors.join('\n'));
+  if (!imports.length) return;
+
+  const append = elements.importAppendEl.checked;
+  const merged = mergeImports(imports, {
+    reference: elements.expectedOutputEl.value.trim(),
+    tolerance: Math.max(0, parseFloat(elements.numericToleranceEl.value) || 0),
+    startIndex: append ? lastResults.length + 1 : 1,
+  });
+  const results = append ? [...lastResults, ...merged] : merged;
+  displayResults(results, append && shownRun ? { ...shownRun, runs: results.length } : describeImport(imports, results));
+  elements.statusText.textContent = `Imported ${merged.length} runs from ${imports.length} file(s).`;
+}
+
+function compareHistorySelection() {
+  const ids = [...elements.historyTableBody.querySelectorAll('.history-select:checked')].map(cb => parseInt(cb.dataset.historyId, 10));
+  if (ids.length !== 2) {
+    alert('Select exactly two saved tests to compare.');
+    return;
+  }
+  const [a, b] = ids.map(id => historyEntries.find(e => e.id === id));
+  renderHistoryCompare(a, b);
+}
+
+// Runs N repetitions for each parameter override set, one set after another, sharing one throttle.
+async function runVariants(settings, imageParts, variants, label, onCell) {
+  const throttle = createThrottle({ rpm: settings.rpm, isCancelled: () => cancelFlag });
+  const totalRuns = variants.length * settings.N;
+  let doneRuns = 0;
+
+  for (const [k, variant] of variants.entries()) {
+    if (cancelFlag) break;
+    elements.statusText.textContent = `${label} ${k + 1}/${variants.length}…`;
+    const { results } = await runSeries({
+      ...settings,
+      params: { ...settings.params, ...variant, imageParts },
+      total: settings.N,
+      throttle,
+      isCancelled: () => cancelFlag,
+      onSettled: () => updateProgress(++doneRuns, totalRuns),
+    });
+    onCell({ params: variant, summary: summarizeRuns(results, metricOptions()), results });
+  }
+  return { doneRuns };
+}
+
+async function runSweep() {
+  resetCancel();
+  const settings = readRunSettings();
+  if (!settings) return;
+
+  const { params, N } = settings;
+  const models = parseList(elements.sweepModelsEl.value);
+  const temperatures = parseNumberList(elements.sweepTemperaturesEl.value);
+  const topPs = parseNumberList(elements.sweepTopPsEl.value);
+  const thinkingBudgets = parseNumberList(elements.sweepThinkingBudgetsEl.value).map(v => Math.max(0, Math.round(v)));
+  const combos = buildCombinations({
+    models: models.length ? models : [params.model],
+    temperatures: temperatures.length ? temperatures : [params.temperature],
+    topPs: topPs.length ? topPs : [params.topP],
+    thinkingBudgets: thinkingBudgets.length ? thinkingBudgets : [params.thinkingBudget],
+  });
+  if (combos.length > MAX_SWEEP_CELLS) {
+    alert(`The sweep has ${combos.length} combinations; the maximum is ${MAX_SWEEP_CELLS}.`);
+    return;
+  }
+  if (!confirm(`Run ${combos.length} combination(s) × ${N} runs = ${combos.length * N} requests?`)) return;
+
+  setBusy(true);
+  elements.sweepExportBtn.disabled = true;
+  resetUIState();
+  lastResults = [];
+
+  const imageParts = await prepareImageParts();
+  if (!imageParts) {
+    setBusy(false);
+    return;
+  }
+
+  lastSweep = {
+    startTime: new Date().toISOString(),
+    endTime: null,
+    runsPerCell: N,
+    prompt: params.prompt,
+    generationConfig: generationConfig(params),
+    template: settings.template,
+    context: runContext(settings, await fingerprintUploads()),
+    cells: [],
+  };
+  renderSweep(lastSweep.cells);
+
+  const { doneRuns } = await runVariants(settings, imageParts, combos, 'Sweep cell', (cell) => {
+    lastSweep.cells.push(cell);
+    renderSweep(lastSweep.cells);
+  });
+
+  lastSweep.endTime = new Date().toISOString();
+  elements.statusText.textContent = `Sweep ${cancelFlag ? 'cancelled' : 'done'}. ${lastSweep.cells.length}/${combos.length} combinations, ${doneRuns} runs.`;
+  setBusy(false);
+  elements.sweepExportBtn.disabled = lastSweep.cells.length === 0;
+}
+
+// Runs each variant into the comparison panel. Columns are labelled by `labels`, or by model.
+async function compareVariants(settings, variants, labels, noun) {
+  setBusy(true);
+  resetUIState();
+  lastResults = [];
+  lastComparison = [];
+  renderComparison(lastComparison);
+  renderComparisonDiff();
+
+  const imageParts = await prepareImageParts();
+  if (!imageParts) {
+    setBusy(false);
+    return null;
+  }
+
+  comparisonContext = runContext(settings, await fingerprintUploads());
+  const { doneRuns } = await runVariants(settings, imageParts, variants, noun, (cell) => {
+    lastComparison.push({ ...cell, label: labels?.[lastComparison.length] });
+    renderComparison(lastComparison);
+    renderComparisonDiff();
+  });
+  setBusy(false);
+  return doneRuns;
+}
+
+async function runComparison() {
+  resetCancel();
+  const settings = readRunSettings();
+  if (!settings) return;
+
+  const models = [...elements.compareModelsEl.querySelectorAll('input[type="checkbox"]:checked')].map(cb => cb.value);
+  if (models.length < 2) {
+    alert('Select at least two models to compare.');
+    return;
+  }
+
+  const doneRuns = await compareVariants(settings, models.map(model => ({ model })), null, 'Model');
+  if (doneRuns === null) return;
+  elements.statusText.textContent = `Comparison ${cancelFlag ? 'cancelled' : 'done'}. ${lastComparison.length}/${models.length} models, ${doneRuns} runs.`;
+}
+
+// Same prompt with and without the schema sent to the model; both are validated against it.
+async function runSchemaComparison() {
+  resetCancel();
+  const settings = readRunSettings();
+  if (!settings) return;
+  if (!settings.schema) {
+    alert('Enter a response schema to compare.');
+    return;
+  }
+
+  elements.comparisonEl.closest('details').open = true;
+  const variants = [{ responseSchema: null }, { responseSchema: settings.schema }];
+  const doneRuns = await compareVariants(settings, variants, ['Without schema', 'With schema'], 'Schema variant');
+  if (doneRuns === null) return;
+  elements.statusText.textContent = `Schema comparison ${cancelFlag ? 'cancelled' : 'done'}. ${lastComparison.length}/2 variants, ${doneRuns} runs.`;
+}
+
+function renderComparisonDiff() {
+  const a = lastComparison[parseInt(elements.compareDiffAEl.value, 10)];
+  const b = lastComparison[parseInt(elements.compareDiffBEl.value, 10)];
+  renderDiff(elements.compareDiffEl, a && b ? diffWords(a.summary.majorityText, b.summary.majorityText) : null);
+}
+
+function exportSweep() {
+  if (!lastSweep) return;
+  const out = {
+    meta: {
+      runsPerCell: lastSweep.runsPerCell,
+      startTime: lastSweep.startTime,
+      endTime: lastSweep.endTime,
+      combinations: lastSweep.cells.length,
+      generationConfig: lastSweep.generationConfig,
+      template: lastSweep.template,
+    },
+    prompt: lastSweep.prompt,
+    cells: lastSweep.cells
+  };
+  downloadJson(out, 'gemini-consistency-sweep.json');
+}
+
+function readUploadOptions() {
+  const quality = parseFloat(elements.pdfQualityEl.value);
+  return {
+    pdfPages: elements.pdfPagesEl.value.trim(),
+    pdfContent: elements.pdfContentEl.value,
+    pdfScale: parseFloat(elements.pdfScaleEl.value) || DEFAULT_UPLOAD_OPTIONS.pdfScale,
+    pdfFormat: elements.pdfFormatEl.value,
+    pdfQuality: Number.isNaN(quality) ? DEFAULT_UPLOAD_OPTIONS.pdfQuality : Math.min(1, Math.max(0.1, quality)),
+    compress: elements.compressUploadsEl.checked,
+  };
+}
+
+function downloadJson(data, filename) {
+  downloadText(JSON.stringify(data, null, 2), filename, 'application/json');
+}
+
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 2500);
+}
+
+async function loadDataset(files) {
+  let unmatched = [];
   try {
-    imageParts = await filesToInlineParts(uploadedFiles);
+    ({ cases: datasetCases, unmatched } = groupCases(await collectEntries(files)));
   } catch (e) {
     console.error(e);
-    alert('Failed to read images: ' + e.message);
-    elements.runBtn.disabled = false;
-    elements.cancelBtn.disabled = true;
+    alert('Failed to read dataset: ' + e.message);
+    datasetCases = [];
+  }
+  lastBatch = null;
+  const documents = datasetCases.reduce((sum, c) => sum + c.files.length, 0);
+  const withExpected = datasetCases.filter(c => c.expected).length;
+  const ignored = unmatched.length ? ` Ignored ${unmatched.length} unmatched expected file(s): ${unmatched.join(', ')}.` : '';
+  elements.batchInfoEl.textContent = (datasetCases.length
+    ? `${datasetCases.length} case(s), ${documents} document(s), ${withExpected} with their own expected output.`
+    : 'No images or PDFs found.') + ignored;
+  elements.batchRunBtn.disabled = !datasetCases.length;
+  elements.batchExportBtn.disabled = true;
+  renderBatchCases();
+}
+
+function renderBatchCases() {
+  const rows = datasetCases.map((c, i) => lastBatch?.cases[i] || { name: c.name, fileCount: c.files.length, hasExpected: Boolean(c.expected), summary: null });
+  renderBatch(rows, lastBatch?.cases.length ? summarizeBatch(lastBatch.cases) : null);
+}
+
+// Each case gets its own processed files (so MAX_FILES applies per case) and, when it has one, its own expected output.
+async function prepareCase(testCase, settings) {
+  const caseFiles = [];
+  await processFiles(testCase.files, caseFiles, elements.statusText, testCase.name, readUploadOptions());
+  const [imageParts, attachments, expected] = await Promise.all([
+    filesToInlineParts(caseFiles),
+    Promise.all(caseFiles.map(fingerprintFile)),
+    testCase.expected ? testCase.expected.text() : settings.reference,
+  ]);
+  return { imageParts, attachments, reference: expected.trim() };
+}
+
+async function runBatch() {
+  resetCancel();
+  const settings = readRunSettings();
+  if (!settings) return;
+  if (!datasetCases.length) {
+    alert('Load documents, a ZIP or a folder first.');
     return;
   }
 
-  elements.statusText.textContent = 'Running…';
-  const N = parseInt(elements.runsEl.value, 10) || 5;
+  const threshold = Math.min(1, Math.max(0, parseFloat(elements.batchThresholdEl.value)));
+  const passThreshold = Number.isNaN(threshold) ? 0.8 : threshold;
+  const { N } = settings;
+  if (!confirm(`Run ${datasetCases.length} case(s) × ${N} runs = ${datasetCases.length * N} requests?`)) return;
 
-  for (let i = 1; i <= N; i++) {
-    if (cancelFlag) {
-      renderRow(i, '<span class="badge warn">cancelled</span>', { latency: null, text: '—', attempts: [] });
-      break;
-    }
+  setBusy(true);
+  elements.batchExportBtn.disabled = true;
+  resetUIState();
+  lastResults = [];
+
+  const { apiKey, onProgress, signal, transport, prompt, conversation, ...parameters } = settings.params;
+  lastBatch = {
+    startTime: new Date().toISOString(),
+    endTime: null,
+    runsPerCase: N,
+    passThreshold,
+    prompt,
+    parameters: { ...parameters, conversation: settings.conversation },
+    context: runContext(settings, [], []),
+    template: settings.template,
+    schema: schemaInfo(settings),
+    cases: [],
+  };
+  renderBatchCases();
+
+  const throttle = createThrottle({ rpm: settings.rpm, isCancelled: () => cancelFlag });
+  const totalRuns = datasetCases.length * N;
+  let doneRuns = 0;
+
+  for (const [k, testCase] of datasetCases.entries()) {
+    if (cancelFlag) break;
+    const entry = { name: testCase.name, fileCount: testCase.files.length, hasExpected: Boolean(testCase.expected), files: [], expected: null };
+    let prepared;
     try {
-      const params = {
-        apiKey,
-        model: elements.modelEl.value,
-        prompt,
-        imageParts,
-        temperature: parseFloat(elements.temperatureEl.value),
-        topP: parseFloat(elements.topPEl.value),
-        thinkingBudget: Math.max(0, parseInt((elements.thinkingBudgetNumEl && elements.thinkingBudgetNumEl.value) || (elements.thinkingBudgetEl && elements.thinkingBudgetEl.value) || '0', 10) || 0),
-        timeoutMs: parseInt(elements.timeoutMsEl.value, 10) || 30000,
-        statusEl: elements.statusText
-      };
-      const result = await callGemini(params);
-      const enrichedResult = { index: i, ok: true, ...result };
-      lastResults.push(enrichedResult);
-      renderRow(i, '<span class="badge ok">ok</span>', enrichedResult);
-    } catch (err) {
-      const errorResult = {
-        index: i,
-        ok: false,
-        latency: null,
-        error: String(err),
-        attempts: err.attempts || []
-      };
-      lastResults.push(errorResult);
-      renderRow(i, '<span class="badge err">error</span>', errorResult);
-    }
-    updateProgress(i, N);
-    const delayMs = Math.max(0, parseInt(elements.delayMsEl.value, 10) || 0);
-    if (i < N && delayMs > 0) {
-      await new Promise(r => setTimeout(r, delayMs));
+      prepared = await prepareCase(testCase, settings);
+    } catch (e) {
+      console.error(`Preparing case ${testCase.name} failed:`, e);
+      lastBatch.cases.push({ ...entry, error: `Failed to read files: ${e.message}`, results: [], ...summarizeCase([], passThreshold, metricOptions()) });
+      renderBatchCases();
+      continue;
     }
+
+    elements.statusText.textContent = `Case ${k + 1}/${datasetCases.length}: ${testCase.name}…`;
+    const { results } = await runSeries({
+      ...settings,
+      reference: prepared.reference,
+      params: { ...settings.params, imageParts: prepared.imageParts },
+      total: N,
+      throttle,
+      isCancelled: () => cancelFlag,
+      onSettled: () => updateProgress(++doneRuns, totalRuns),
+    });
+    lastBatch.cases.push({
+      ...entry,
+      fileCount: prepared.attachments.length,
+      files: prepared.attachments,
+      expected: prepared.reference || null,
+      results,
+      ...summarizeCase(results, passThreshold, metricOptions()),
+      usage: summarizeUsage(results, prices),
+    });
+    renderBatchCases();
   }
 
-  const totalMs = Math.round(performance.now() - globalStartPerf);
-  const texts = lastResults.filter(r => r.ok).map(r => r.text);
-  const { exactRate, avgJaccard, majorityNormalized } = computeMetrics(texts);
+  lastBatch.endTime = new Date().toISOString();
+  const { failing } = summarizeBatch(lastBatch.cases);
+  elements.statusText.textContent = `Batch ${cancelFlag ? 'cancelled' : 'done'}. ${lastBatch.cases.length}/${datasetCases.length} cases, ${doneRuns} runs, ${failing.length} failing.`;
+  setBusy(false);
+  elements.batchExportBtn.disabled = lastBatch.cases.length === 0;
+}
 
-  elements.rateExact.textContent = texts.length ? (exactRate * 100).toFixed(1) + '%' : '–';
-  elements.rateJaccard.textContent = texts.length ? (avgJaccard * 100).toFixed(1) + '%' : '–';
-  elements.majorityText.textContent = texts.length ? majorityNormalized : '–';
+function exportBatch() {
+  if (!lastBatch) return;
+  const out = {
+    meta: {
+      ...lastBatch.parameters,
+      runsPerCase: lastBatch.runsPerCase,
+      passThreshold: lastBatch.passThreshold,
+      ...metricOptions(),
+      template: lastBatch.template,
+      schema: lastBatch.schema,
+      startTime: lastBatch.startTime,
+      endTime: lastBatch.endTime,
+      summary: summarizeBatch(lastBatch.cases),
+      usage: summarizeUsage(lastBatch.cases.flatMap(c => c.results), prices),
+    },
+    prompt: lastBatch.prompt,
+    cases: lastBatch.cases.map(({ hasExpected, ...c }) => c),
+  };
+  downloadJson(out, 'gemini-consistency-batch.json');
+}
+
+const selectedTemplate = () => templates.find(t => t.id === elements.templateSelectorEl.value) || null;
+
+const updateTemplateVariables = () => renderTemplateVariables(extractVariables(elements.promptEl.value));
+
+async function refreshTemplates(selectedId) {
+  const stored = await templatesList().catch((e) => {
+    console.error('Failed to load saved templates:', e);
+    return [];
+  });
+  templates = mergeTemplates(bundledTemplates, stored);
+  renderTemplateOptions(templates, selectedId);
+  const template = selectedTemplate();
+  renderTemplateVersions(template, template?.version);
+}
+
+function showTemplate(template, version) {
+  const v = getVersion(template, version);
+  elements.promptEl.value = v.prompt;
+  elements.templateNameEl.value = v.name;
+  elements.responseSchemaEl.value = v.schema ? JSON.stringify(v.schema, null, 2) : '';
+  elements.enforceSchemaEl.checked = Boolean(v.schema);
+  updateSchemaStatus();
+  renderTemplateVersions(template, v.version);
+  updateTemplateVariables();
+}
+
+async function storeTemplate(template, message) {
+  try {
+    await templatesPut(template);
+  } catch (e) {
+    console.error(e);
+    alert('Failed to save template.');
+    return;
+  }
+  await refreshTemplates(template.id);
+  elements.statusText.textContent = message;
+}
+
+async function saveTemplateAsNew() {
+  const name = elements.templateNameEl.value.trim();
+  const prompt = elements.promptEl.value;
+  if (!name || !prompt.trim()) {
+    alert('Enter a template name and a prompt.');
+    return;
+  }
+  const schema = readSchema();
+  if (schema === undefined) return;
+  await storeTemplate(createTemplate(name, prompt, schema), `Saved template "${name}".`);
+}
+
+async function saveTemplateVersion() {
+  const template = selectedTemplate();
+  if (!template) return saveTemplateAsNew();
+  const name = elements.templateNameEl.value.trim() || template.name;
+  const prompt = elements.promptEl.value;
+  const schema = readSchema();
+  if (schema === undefined) return;
+  if (name === template.name && prompt === template.prompt && sameSchema(schema, template.schema)) {
+    alert('No changes to save.');
+    return;
+  }
+  const updated = addVersion(template, { name, prompt, schema });
+  await storeTemplate(updated, `Saved "${name}" v${updated.version}.`);
+}
+
+async function duplicateSelectedTemplate() {
+  const template = selectedTemplate();
+  if (!template) {
+    alert('Select a template to duplicate.');
+    return;
+  }
+  const v = getVersion(template, parseInt(elements.templateVersionEl.value, 10));
+  const copy = createTemplate(`${v.name} (copy)`, v.prompt, v.schema ?? null);
+  await storeTemplate(copy, `Duplicated "${v.name}".`);
+  showTemplate(copy, copy.version);
+}
+
+async function deleteSelectedTemplate() {
+  const template = selectedTemplate();
+  if (!template) {
+    alert('Select a template to delete.');
+    return;
+  }
+  const bundled = bundledTemplates.find(t => t.id === template.id);
+  if (bundled === template) {
+    alert('Bundled templates cannot be deleted.');
+    return;
+  }
+  if (!confirm(bundled ? `Discard all edits to "${template.name}" and restore the bundled prompt?` : `Delete "${template.name}" and its version history?`)) return;
+  try {
+    await templatesDelete(template.id);
+  } catch (e) {
+    console.error(e);
+    alert('Failed to delete template.');
+    return;
+  }
+  await refreshTemplates(bundled ? bundled.id : '');
+  if (bundled) showTemplate(bundled, bundled.version);
+}
+
+async function importTemplatePacks(files) {
+  const errors = [];
+  let added = 0, updated = 0;
+  for (const file of files) {
+    let list;
+    try {
+      list = parsePack(await file.text(), file.name);
+    } catch (e) {
+      errors.push(e.message);
+      continue;
+    }
+    for (const incoming of list) {
+      // Packs keep template ids; plain { name, prompt } lists are matched by name.
+      const existing = templates.find(t => incoming.id ? t.id === incoming.id : t.name === incoming.name);
+      const template = importTemplate(existing, incoming);
+      if (!template) continue;
+      try {
+        await templatesPut(template);
+      } catch (e) {
+        errors.push(`${incoming.name}: ${e}`);
+        continue;
+      }
+      templates = existing ? templates.map(t => (t === existing ? template : t)) : [...templates, template];
+      if (existing) updated++;
+      else added++;
+    }
+  }
+  if (errors.length) alert('Some templates could not be imported:\n' + errors.join('\n'));
+  await refreshTemplates(elements.templateSelectorEl.value);
+  elements.statusText.textContent = `Imported templates: ${added} new, ${updated} updated.`;
+}
 
-  elements.statusText.textContent = `Done. ${lastResults.length} runs in ${totalMs}ms. Success ${texts.length}/${lastResults.length}.`;
-  elements.runBtn.disabled = false;
-  elements.cancelBtn.disabled = true;
-  elements.exportBtn.disabled = lastResults.length > 0;
+function savePrices() {
+  prices = readPriceTable();
+  dbSet('model_prices', prices).catch(console.error);
+  lastResults.forEach(r => renderRow(r.index, statusBadge(r), r, resultCost(r, prices)));
+  renderMetrics();
 }
 
+const candidatesText = candidates => candidates.map((c, k) => {
+  const notes = [c.finishReason || 'N/A', c.flag, c.validation && `schema ${c.validation.valid ? 'valid' : 'invalid'}`, c.accuracy && `exact=${c.accuracy.exact}`].filter(Boolean);
+  return `#${k + 1} (${notes.join(', ')})\n${c.text}`;
+}).join('\n\n');
+
 function setupEventListeners() {
-  elements.apiKeyEl.addEventListener('input', () => dbSet('gemini_api_key', elements.apiKeyEl.value).catch(console.error));
+  elements.apiKeyEl.addEventListener('input', () => dbSet(`${elements.providerEl.value}_api_key`, elements.apiKeyEl.value).catch(console.error));
+  elements.baseUrlEl.addEventListener('input', () => dbSet(`${elements.providerEl.value}_base_url`, elements.baseUrlEl.value).catch(console.error));
+  elements.mockConfigEl.addEventListener('input', () => dbSet('mock_config', elements.mockConfigEl.value).catch(console.error));
+  elements.mockResetBtn.addEventListener('click', () => {
+    elements.mockConfigEl.value = JSON.stringify(DEFAULT_MOCK_CONFIG, null, 2);
+    dbSet('mock_config', elements.mockConfigEl.value).catch(console.error);
+  });
+  elements.networkModeEl.addEventListener('change', () => dbSet('network_mode', elements.networkModeEl.value).catch(console.error));
+  elements.recordingsClearBtn.addEventListener('click', async () => {
+    if (!confirm('Delete all recorded responses?')) return;
+    try {
+      await recordingsClear();
+    } catch (e) {
+      console.error('Failed to clear recordings:', e);
+      alert('Failed to clear recordings.');
+    }
+    updateRecordingsStatus();
+  });
+  elements.providerEl.addEventListener('change', async () => {
+    dbSet('provider', elements.providerEl.value).catch(console.error);
+    await loadProviderSettings();
+  });
   elements.temperatureEl.addEventListener('input', () => elements.temperatureVal.textContent = parseFloat(elements.temperatureEl.value).toFixed(2));
   elements.topPEl.addEventListener('input', () => elements.topPVal.textContent = parseFloat(elements.topPEl.value).toFixed(2));
   // Sync thinking budget slider and number inputs
@@ -126,14 +1140,64 @@ function setupEventListeners() {
     elements.thinkingBudgetNumEl.value = String(v);
     elements.thinkingBudgetEl.value = String(v);
   });
+  [elements.topKEl, elements.maxOutputTokensEl, elements.seedEl, elements.candidateCountEl, elements.stopSequencesEl, elements.systemInstructionEl, elements.safetySettingsEl]
+    .forEach(el => el.addEventListener('change', saveGenerationSettings));
+  [elements.retryMaxAttemptsEl, elements.retryStatusesEl, elements.retryBaseDelayEl, elements.retryMaxDelayEl, elements.retryJitterEl, elements.retryTimeoutsEl, elements.retryNetworkEl, elements.retryHonorAfterEl]
+    .forEach(el => el.addEventListener('change', saveRetryPolicy));
+  elements.scoringModeEl.addEventListener('change', renderMetrics);
+  elements.excludeFlaggedEl.addEventListener('change', renderMetrics);
+  elements.clusterThresholdEl.addEventListener('change', renderMetrics);
+  elements.clusterTableBody.addEventListener('click', (e) => {
+    if (e.target.classList.contains('output-link')) showModal(decodeURIComponent(e.target.dataset.fullText), 'text');
+  });
+  elements.turnTableBody.addEventListener('click', (e) => {
+    if (e.target.classList.contains('output-link')) showModal(decodeURIComponent(e.target.dataset.fullText), 'text');
+  });
+  elements.conversationEnabledEl.addEventListener('change', () => {
+    elements.conversationWrapEl.style.display = elements.conversationEnabledEl.checked ? 'block' : 'none';
+    saveConversationSettings();
+  });
+  [elements.conversationScriptEl, elements.conversationOwnAnswersEl].forEach(el => el.addEventListener('change', saveConversationSettings));
+  elements.conversationPerTurnEl.addEventListener('change', () => {
+    saveConversationSettings();
+    renderMetrics();
+  });
   elements.templateSelectorEl.addEventListener('change', () => {
-    const idx = parseInt(elements.templateSelectorEl.value, 10);
-    if (!isNaN(idx) && templates[idx]) {
-      elements.promptEl.value = templates[idx].prompt;
+    const template = selectedTemplate();
+    if (template) showTemplate(template, template.version);
+    else renderTemplateVersions(null);
+  });
+  elements.templateVersionEl.addEventListener('change', () => {
+    const template = selectedTemplate();
+    if (template) showTemplate(template, parseInt(elements.templateVersionEl.value, 10));
+  });
+  elements.promptEl.addEventListener('input', updateTemplateVariables);
+  elements.responseSchemaEl.addEventListener('input', updateSchemaStatus);
+  elements.schemaFormatBtn.addEventListener('click', formatSchema);
+  elements.schemaCompareBtn.addEventListener('click', runSchemaComparison);
+  elements.templateNewBtn.addEventListener('click', saveTemplateAsNew);
+  elements.templateSaveBtn.addEventListener('click', saveTemplateVersion);
+  elements.templateDuplicateBtn.addEventListener('click', duplicateSelectedTemplate);
+  elements.templateDeleteBtn.addEventListener('click', deleteSelectedTemplate);
+  elements.templateExportBtn.addEventListener('click', () => downloadJson(buildPack(templates), 'gemini-consistency-templates.json'));
+  elements.templateImportBtn.addEventListener('click', () => elements.templateImportFileEl.click());
+  elements.templateImportFileEl.addEventListener('change', async (e) => {
+    await importTemplatePacks(Array.from(e.target.files));
+    e.target.value = '';
+  });
+  elements.expectedFileEl.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      elements.expectedOutputEl.value = await file.text();
+    } catch (err) {
+      console.error(err);
+      alert('Failed to read expected output: ' + err.message);
     }
+    e.target.value = '';
   });
   elements.imagesEl.addEventListener('change', async (e) => {
-    await processFiles(Array.from(e.target.files), uploadedFiles, elements.statusText);
+    await processFiles(Array.from(e.target.files), uploadedFiles, elements.statusText, '', readUploadOptions());
     renderPreviews(uploadedFiles);
     e.target.value = '';
   });
@@ -146,7 +1210,9 @@ function setupEventListeners() {
     } else if (target.classList.contains('preview-image-clickable')) {
       const index = parseInt(target.dataset.index, 10);
       const file = uploadedFiles[index];
-      if (file) {
+      if (file?.type === 'text/plain') {
+        file.text().then(text => showModal(text, 'text'));
+      } else if (file?.type.startsWith('image/')) {
         const reader = new FileReader();
         reader.onload = (event) => showModal(event.target.result, 'image');
         reader.readAsDataURL(file);
@@ -158,17 +1224,32 @@ function setupEventListeners() {
     if (target.classList.contains('output-link')) {
       const fullText = decodeURIComponent(target.dataset.fullText);
       showModal(fullText, 'text');
+    } else if (target.classList.contains('diff-btn')) {
+      const result = lastResults[parseInt(target.dataset.resultIndex, 10)];
+      if (result) {
+        const { majorityText } = summarizeRuns(lastResults, metricOptions());
+        openDiff({ label: 'Majority response', text: majorityText }, { label: `Run #${result.index}`, text: resultText(result) });
+      }
     } else if (target.classList.contains('details-btn')) {
       const resultIndex = parseInt(target.dataset.resultIndex, 10);
       const result = lastResults[resultIndex];
       if (result) {
-        const content = `Run #${result.index}
+        const content = `Run #${result.index}${result.source ? ` (${result.source}, run #${result.sourceIndex})` : ''}
 Status: ${result.ok ? 'OK' : 'Error'}
 Total Duration: ${result.latency ?? 'N/A'} ms
 Start Time: ${result.startTime ? new Date(result.startTime).toLocaleString() : 'N/A'}
 End Time: ${result.endTime ? new Date(result.endTime).toLocaleString() : 'N/A'}
 Error: ${result.error || 'None'}
-
+Error Category: ${result.ok ? 'N/A' : errorLabel(result.errorCategory)}
+Tokens: ${result.usage ? `prompt ${result.usage.promptTokens}, output ${result.usage.outputTokens}, thinking ${result.usage.thinkingTokens}, total ${result.usage.totalTokens}` : 'N/A'}
+Estimated Cost: ${formatCost(resultCost(result, prices))}
+Finish Reason: ${result.finishReason || 'N/A'}${result.flag ? ` (${result.flag})` : ''}
+Model Version: ${result.modelVersion || 'N/A'}
+Prompt Feedback: ${result.promptFeedback ? JSON.stringify(result.promptFeedback) : 'N/A'}
+Safety Ratings: ${result.safetyRatings?.length ? result.safetyRatings.map(s => `${s.category}=${s.probability}${s.blocked ? ' (blocked)' : ''}`).join(', ') : 'N/A'}
+Accuracy: ${result.accuracy ? `exact=${result.accuracy.exact}, similarity=${result.accuracy.similarity.toFixed(3)}${result.accuracy.fields ? `, F1=${result.accuracy.fields.f1.toFixed(3)}` : ''}` : 'N/A'}
+Schema Validation: ${!result.validation ? 'N/A' : result.validation.valid ? 'valid' : `${result.validation.errors.length} error(s)${result.validation.errors.map(e => `\n  - ${e}`).join('')}`}
+${result.candidates ? `\nCandidates:\n${candidatesText(result.candidates)}\n` : ''}${result.turns ? `\nTranscript:\n${formatTranscript(result)}\n` : ''}
 Attempts:
 ${JSON.stringify(result.attempts, null, 2)}
 `;
@@ -176,46 +1257,153 @@ ${JSON.stringify(result.attempts, null, 2)}
       }
     }
   });
+  elements.diffSelectedBtn.addEventListener('click', diffSelectedRuns);
+  elements.priceTableBody.addEventListener('change', savePrices);
+  elements.priceTableBody.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('price-remove')) return;
+    e.target.closest('tr').remove();
+    savePrices();
+  });
+  elements.priceAddBtn.addEventListener('click', addPriceRow);
+  elements.priceResetBtn.addEventListener('click', () => {
+    if (!confirm('Replace the price table with the default prices?')) return;
+    renderPriceTable(DEFAULT_PRICES);
+    savePrices();
+  });
+  elements.diffModeEl.addEventListener('change', renderCurrentDiff);
   elements.modalCloseBtn.addEventListener('click', hideModal);
   elements.outputModalOverlay.addEventListener('click', (e) => {
     if (e.target === elements.outputModalOverlay) hideModal();
   });
+  elements.importBtn.addEventListener('click', () => elements.importFileEl.click());
+  elements.importFileEl.addEventListener('change', async (e) => {
+    await importResults(Array.from(e.target.files));
+    e.target.value = '';
+  });
   elements.runBtn.addEventListener('click', runTest);
+  elements.sweepRunBtn.addEventListener('click', runSweep);
+  elements.sweepExportBtn.addEventListener('click', exportSweep);
+  elements.sweepTableBody.addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-cell-index]');
+    const cell = row && lastSweep?.cells[parseInt(row.dataset.cellIndex, 10)];
+    if (cell) displayResults(cell.results, describeVariant(lastSweep.context, cell.results, cell.params));
+  });
+  elements.batchFilesEl.addEventListener('change', async (e) => {
+    await loadDataset(Array.from(e.target.files));
+    e.target.value = '';
+  });
+  elements.batchFolderEl.addEventListener('change', async (e) => {
+    await loadDataset(Array.from(e.target.files));
+    e.target.value = '';
+  });
+  elements.batchRunBtn.addEventListener('click', runBatch);
+  elements.batchExportBtn.addEventListener('click', exportBatch);
+  elements.batchTableBody.addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-case-index]');
+    const entry = row && lastBatch?.cases[parseInt(row.dataset.caseIndex, 10)];
+    if (entry) {
+      displayResults(entry.results, describeVariant({ ...lastBatch.context, expected: entry.expected, attachments: entry.files }, entry.results));
+      elements.statusText.textContent = `Showing runs for ${entry.name}.`;
+    }
+  });
+  elements.historySearchEl.addEventListener('input', () => renderHistory(historyEntries, elements.historySearchEl.value));
+  elements.historyCompareBtn.addEventListener('click', compareHistorySelection);
+  elements.historyTableBody.addEventListener('click', async (e) => {
+    const target = e.target;
+    if (target.dataset.historyLoad) {
+      const entry = historyEntries.find(h => h.id === parseInt(target.dataset.historyLoad, 10));
+      if (entry) {
+        displayResults(entry.results, describeSavedTest(entry));
+        elements.statusText.textContent = `Loaded test from ${new Date(entry.createdAt).toLocaleString()}.`;
+      }
+    } else if (target.dataset.historyDelete) {
+      const id = parseInt(target.dataset.historyDelete, 10);
+      if (!confirm('Delete this saved test?')) return;
+      try {
+        await historyDelete(id);
+        historyEntries = historyEntries.filter(h => h.id !== id);
+        renderHistory(historyEntries, elements.historySearchEl.value);
+      } catch (err) {
+        console.error(err);
+        alert('Failed to delete saved test.');
+      }
+    }
+  });
+  elements.compareRunBtn.addEventListener('click', runComparison);
+  elements.compareDiffAEl.addEventListener('change', renderComparisonDiff);
+  elements.compareDiffBEl.addEventListener('change', renderComparisonDiff);
+  elements.comparisonEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-comparison-index]');
+    const entry = btn && lastComparison[parseInt(btn.dataset.comparisonIndex, 10)];
+    if (entry) displayResults(entry.results, describeVariant(comparisonContext, entry.results, entry.params));
+  });
   elements.cancelBtn.addEventListener('click', () => {
     cancelFlag = true;
+    cancelController?.abort();
     elements.cancelBtn.disabled = true;
     elements.statusText.textContent = 'Cancelling…';
   });
-  elements.exportBtn.addEventListener('click', () => {
-    const globalEndIso = new Date().toISOString();
-    const out = {
-      meta: {
-        model: elements.modelEl.value,
-        runs: parseInt(elements.runsEl.value, 10) || 0,
-        timestamp: globalStartIso,
-        startTime: globalStartIso,
-        endTime: globalEndIso,
-        totalDurationMs: lastResults.reduce((sum, r) => sum + (r.latency || 0), 0)
-      },
-      prompt: elements.promptEl.value,
-      results: lastResults
-    };
-    const blob = new Blob([JSON.stringify(out, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'gemini-consistency-results.json';
-    a.click();
-    setTimeout(() => URL.revokeObjectURL(url), 2500);
+  elements.exportBtn.addEventListener('click', () => downloadJson(redact(buildExport(), reportSecrets()), 'gemini-consistency-results.json'));
+  elements.reportHtmlBtn.addEventListener('click', async () => {
+    downloadText(toHtmlReport(await currentReport()), 'gemini-consistency-report.html', 'text/html');
+  });
+  elements.reportMarkdownBtn.addEventListener('click', async () => {
+    const markdown = toMarkdownReport(await currentReport());
+    try {
+      await navigator.clipboard.writeText(markdown);
+      elements.statusText.textContent = 'Markdown summary copied to the clipboard.';
+    } catch (e) {
+      console.error('Clipboard write failed, downloading instead:', e);
+      downloadText(markdown, 'gemini-consistency-report.md', 'text/markdown');
+    }
+  });
+  elements.reportCsvBtn.addEventListener('click', () => {
+    downloadText(toCsv(redact(buildReport({ ...reportInput(), attachments: [] }), reportSecrets()).results), 'gemini-consistency-runs.csv', 'text/csv');
   });
 }
 
+async function loadProviderSettings() {
+  const provider = getProvider(elements.providerEl.value);
+  const [apiKey, baseUrl] = await Promise.all([
+    loadApiKey(provider.id),
+    dbGet(`${provider.id}_base_url`),
+  ]).catch((e) => {
+    console.error('Failed to load provider settings:', e);
+    return [];
+  });
+  elements.apiKeyEl.value = apiKey || '';
+  elements.baseUrlEl.value = baseUrl || '';
+  elements.baseUrlEl.placeholder = provider.defaultBaseUrl;
+  elements.apiKeyEl.placeholder = provider.requiresKey ? 'Required (stored in IndexedDB)' : 'Optional (stored in IndexedDB)';
+  elements.mockConfigWrapEl.style.display = provider.id === 'mock' ? 'block' : 'none';
+}
+
 async function main() {
-  const apiKey = await loadApiKey();
-  if (apiKey) {
-    elements.apiKeyEl.value = apiKey;
+  const provider = await dbGet('provider').catch(() => null);
+  if (PROVIDERS[provider]) elements.providerEl.value = provider;
+  await loadProviderSettings();
+  try {
+    bundledTemplates = (await loadTemplates()).map(fromBundled);
+  } catch (e) {
+    console.error('Failed to load templates:', e);
   }
-  await loadTemplates(templates);
+  prices = (await dbGet('model_prices').catch(() => null)) || DEFAULT_PRICES;
+  applyGenerationSettings((await dbGet('generation_settings').catch(() => null)) || {});
+  applyRetryPolicy((await dbGet('retry_policy').catch(() => null)) || {});
+  applyConversationSettings((await dbGet('conversation_settings').catch(() => null)) || {});
+  elements.mockConfigEl.value = (await dbGet('mock_config').catch(() => null)) || JSON.stringify(DEFAULT_MOCK_CONFIG, null, 2);
+  const networkMode = await dbGet('network_mode').catch(() => null);
+  if (NETWORK_MODES[networkMode]) elements.networkModeEl.value = networkMode;
+  updateRecordingsStatus();
+  renderPriceTable(prices);
+  await refreshTemplates('');
+  updateTemplateVariables();
+  renderModelCheckboxes();
+  historyEntries = await historyList().catch((e) => {
+    console.error('Failed to load history:', e);
+    return [];
+  });
+  renderHistory(historyEntries, '');
   setupEventListeners();
 }
 
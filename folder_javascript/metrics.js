@@ -0,0 +1,328 @@
+import { normalizeText, jaccard, majority, percentile, editSimilarity, ngramSimilarity, entropy } from './utils.js';
+
+const MISSING = '∅';
+
+const mean = xs => xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+
+export function computeMetrics(texts) {
+  const norm = texts.map(normalizeText);
+  const { value: mode, count } = majority(norm);
+  const exactRate = texts.length ? (count / texts.length) : 0;
+  const sims = norm.map(s => jaccard(mode, s));
+  const avgJ = sims.length ? sims.reduce((a, b) => a + b, 0) / sims.length : 0;
+  const h = entropy(norm);
+  return {
+    exactRate,
+    avgJaccard: avgJ,
+    majorityNormalized: mode,
+    avgEditSimilarity: mean(norm.map(s => editSimilarity(mode, s))),
+    avgNgramSimilarity: mean(norm.map(s => ngramSimilarity(mode, s))),
+    entropy: h,
+    normalizedEntropy: texts.length > 1 ? h / Math.log2(texts.length) : 0,
+  };
+}
+
+// Greedy clustering: distinct normalized answers, most frequent first, join the first cluster
+// whose representative is at least `threshold` similar, otherwise start a new cluster.
+export function clusterResponses(texts, { threshold = 0.9, similarity = ngramSimilarity } = {}) {
+  const groups = new Map();
+  texts.forEach((t, i) => {
+    const key = normalizeText(t);
+    if (!groups.has(key)) groups.set(key, { key, text: t, members: [] });
+    groups.get(key).members.push(i);
+  });
+
+  const clusters = [];
+  for (const g of [...groups.values()].sort((a, b) => b.members.length - a.members.length)) {
+    const home = clusters.find(c => similarity(c.key, g.key) >= threshold);
+    if (home) {
+      home.members.push(...g.members);
+      home.variants++;
+    } else {
+      clusters.push({ key: g.key, representative: g.text, members: [...g.members], variants: 1 });
+    }
+  }
+  return clusters
+    .map(c => ({
+      representative: c.representative,
+      members: c.members.sort((a, b) => a - b),
+      size: c.members.length,
+      share: texts.length ? c.members.length / texts.length : 0,
+      variants: c.variants,
+    }))
+    .sort((a, b) => b.size - a.size);
+}
+
+// The first fenced block wherever it is, since models often wrap it in a sentence or two.
+export function stripCodeFences(s) {
+  if (typeof s !== 'string') return '';
+  const m = s.match(/```[\w-]*[ \t]*\n?([\s\S]*?)\n?```/);
+  return (m ? m[1] : s).trim();
+}
+
+export function parseJsonOutput(text) {
+  try {
+    return { ok: true, value: JSON.parse(stripCodeFences(text)) };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+// Line items are usually a bare array, but tolerate a single wrapper key like {"items": [...]}.
+export function toRows(value) {
+  let rows = [value];
+  if (Array.isArray(value)) {
+    rows = value;
+  } else if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 1 && Array.isArray(entries[0][1])) rows = entries[0][1];
+  }
+  return rows.map(r => (r && typeof r === 'object' && !Array.isArray(r)) ? r : { value: r });
+}
+
+export function normalizeValue(v) {
+  if (v === undefined) return MISSING;
+  if (typeof v === 'string') return normalizeText(v);
+  if (typeof v === 'number') return String(v);
+  return JSON.stringify(v);
+}
+
+function rowSimilarity(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  if (!keys.size) return 1;
+  let same = 0;
+  for (const k of keys) {
+    if (normalizeValue(a[k]) === normalizeValue(b[k])) same++;
+  }
+  return same / keys.size;
+}
+
+// Aligns `rows` onto `reference` (order-preserving, maximising total row similarity).
+// Returns an array the length of `reference`; unmatched slots are undefined.
+export function alignRows(reference, rows, similarity = rowSimilarity) {
+  const n = reference.length, m = rows.length;
+  const sim = reference.map(a => rows.map(b => similarity(a, b)));
+  const score = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const s = sim[i - 1][j - 1];
+      score[i][j] = Math.max(score[i - 1][j], score[i][j - 1], s > 0 ? score[i - 1][j - 1] + s : 0);
+    }
+  }
+  const aligned = new Array(n).fill(undefined);
+  let i = n, j = m;
+  while (i > 0 && j > 0) {
+    const s = sim[i - 1][j - 1];
+    if (s > 0 && score[i][j] === score[i - 1][j - 1] + s) {
+      aligned[i - 1] = rows[j - 1];
+      i--; j--;
+    } else if (score[i][j] === score[i - 1][j]) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return aligned;
+}
+
+function orderedKeys(tables) {
+  const keys = [];
+  const seen = new Set();
+  for (const t of tables) {
+    for (const row of t) {
+      for (const k of Object.keys(row)) {
+        if (!seen.has(k)) { seen.add(k); keys.push(k); }
+      }
+    }
+  }
+  return keys;
+}
+
+export function computeJsonMetrics(texts) {
+  const tables = texts.map(parseJsonOutput).filter(p => p.ok).map(p => toRows(p.value));
+  const parseRate = texts.length ? tables.length / texts.length : 0;
+  if (!tables.length) {
+    return { parseRate, parsedCount: 0, rowCountAgreement: 0, fieldAgreement: 0, fields: [], rows: [] };
+  }
+
+  const { value: modalCount, count: rowCountVotes } = majority(tables.map(t => String(t.length)));
+  const reference = tables.find(t => String(t.length) === modalCount);
+  const aligned = tables.map(t => t === reference ? t : alignRows(reference, t));
+  const keys = orderedKeys(tables);
+
+  const fieldTotals = new Map(keys.map(k => [k, { sum: 0, cells: 0 }]));
+  const rows = [];
+  let cellSum = 0, cellCount = 0;
+
+  reference.forEach((_, r) => {
+    let rowSum = 0, rowCells = 0;
+    for (const key of keys) {
+      const values = aligned.map(t => normalizeValue(t[r]?.[key]));
+      if (values.every(v => v === MISSING)) continue;
+      const agreement = majority(values).count / tables.length;
+      const total = fieldTotals.get(key);
+      total.sum += agreement;
+      total.cells++;
+      rowSum += agreement;
+      rowCells++;
+    }
+    const agreement = rowCells ? rowSum / rowCells : 1;
+    rows.push({ index: r + 1, agreement, present: aligned.filter(t => t[r]).length });
+    cellSum += rowSum;
+    cellCount += rowCells;
+  });
+
+  const fields = keys
+    .map(key => ({ key, ...fieldTotals.get(key) }))
+    .filter(f => f.cells > 0)
+    .map(f => ({ key: f.key, agreement: f.sum / f.cells, rows: f.cells }));
+
+  return {
+    parseRate,
+    parsedCount: tables.length,
+    rowCountAgreement: rowCountVotes / tables.length,
+    fieldAgreement: cellCount ? cellSum / cellCount : 1,
+    fields,
+    rows,
+  };
+}
+
+const isBlank = v => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+function toNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v !== 'string' || !/^\s*-?[\d,]*\.?\d+\s*$/.test(v)) return NaN;
+  return parseFloat(v.replace(/,/g, ''));
+}
+
+export function valuesMatch(a, b, tolerance = 0) {
+  const x = toNumber(a), y = toNumber(b);
+  if (Number.isFinite(x) && Number.isFinite(y)) return Math.abs(x - y) <= tolerance;
+  return normalizeValue(a) === normalizeValue(b);
+}
+
+function prf(tp, predicted, expected) {
+  const precision = predicted ? tp / predicted : (expected ? 0 : 1);
+  const recall = expected ? tp / expected : 1;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1 };
+}
+
+// Per-field precision/recall over line items: every non-blank cell is a prediction / expectation,
+// a true positive is a predicted cell matching the expected cell of the aligned row.
+export function compareJsonFields(text, reference, tolerance = 0) {
+  const out = parseJsonOutput(text);
+  const ref = parseJsonOutput(reference);
+  if (!ref.ok) return null;
+  const expectedRows = toRows(ref.value);
+  const predictedRows = out.ok ? toRows(out.value) : [];
+
+  const similarity = (a, b) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    if (!keys.size) return 1;
+    let same = 0;
+    for (const k of keys) if (valuesMatch(a[k], b[k], tolerance)) same++;
+    return same / keys.size;
+  };
+  const aligned = alignRows(expectedRows, predictedRows, similarity);
+  const matched = new Set(aligned.filter(Boolean));
+
+  const counts = new Map();
+  const bump = (key, field) => {
+    if (!counts.has(key)) counts.set(key, { tp: 0, predicted: 0, expected: 0 });
+    counts.get(key)[field]++;
+  };
+
+  expectedRows.forEach((exp, r) => {
+    const pred = aligned[r] || {};
+    for (const key of new Set([...Object.keys(exp), ...Object.keys(pred)])) {
+      const hasExp = !isBlank(exp[key]), hasPred = !isBlank(pred[key]);
+      if (hasExp) bump(key, 'expected');
+      if (hasPred) bump(key, 'predicted');
+      if (hasExp && hasPred && valuesMatch(pred[key], exp[key], tolerance)) bump(key, 'tp');
+    }
+  });
+  predictedRows.filter(row => !matched.has(row)).forEach(row => {
+    for (const key of Object.keys(row)) if (!isBlank(row[key])) bump(key, 'predicted');
+  });
+
+  const fields = [...counts].map(([key, c]) => ({ key, ...c, ...prf(c.tp, c.predicted, c.expected) }));
+  const total = fields.reduce((t, f) => ({
+    tp: t.tp + f.tp, predicted: t.predicted + f.predicted, expected: t.expected + f.expected,
+  }), { tp: 0, predicted: 0, expected: 0 });
+
+  return { parsed: out.ok, fields, ...total, ...prf(total.tp, total.predicted, total.expected) };
+}
+
+export function scoreAgainstReference(text, reference, { tolerance = 0 } = {}) {
+  const fields = compareJsonFields(text, reference, tolerance);
+  return {
+    exact: normalizeText(text) === normalizeText(reference),
+    similarity: jaccard(text || '', reference),
+    fields,
+  };
+}
+
+// Aggregates per-run reference scores; field counts are summed (micro-averaged) across runs.
+export function computeAccuracy(results) {
+  const scored = results.filter(r => r.accuracy);
+  if (!scored.length) return null;
+
+  const totals = new Map();
+  for (const r of scored) {
+    for (const f of r.accuracy.fields?.fields || []) {
+      const t = totals.get(f.key) || { tp: 0, predicted: 0, expected: 0 };
+      t.tp += f.tp; t.predicted += f.predicted; t.expected += f.expected;
+      totals.set(f.key, t);
+    }
+  }
+  const jsonScored = scored.filter(r => r.accuracy.fields);
+
+  return {
+    runs: scored.length,
+    exactRate: scored.filter(r => r.accuracy.exact).length / scored.length,
+    avgSimilarity: mean(scored.map(r => r.accuracy.similarity)),
+    avgF1: jsonScored.length ? mean(jsonScored.map(r => r.accuracy.fields.f1)) : null,
+    fields: [...totals].map(([key, t]) => ({ key, ...t, ...prf(t.tp, t.predicted, t.expected) })),
+  };
+}
+
+// A run that returned several candidates counts as one output per candidate (numbered from 1).
+export const expandCandidates = results => results.flatMap(r => (r.ok && r.candidates?.length > 1
+  ? r.candidates.map((c, k) => ({ ...r, ...c, candidate: k + 1 }))
+  : [r]));
+
+// Outputs that count towards the consistency metrics: successful ones, optionally without
+// truncated, blocked or empty responses.
+export const scoredRuns = (results, { excludeFlagged = false } = {}) => expandCandidates(results).filter(r => r.ok && !(excludeFlagged && r.flag));
+
+export function countFinishReasons(results) {
+  const counts = new Map();
+  expandCandidates(results).filter(r => r.ok).forEach(r => counts.set(r.finishReason || 'unknown', (counts.get(r.finishReason || 'unknown') || 0) + 1));
+  return [...counts].map(([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count);
+}
+
+export function summarizeRuns(results, options = {}) {
+  const ok = results.filter(r => r.ok);
+  const scored = scoredRuns(results, options);
+  const { exactRate, avgJaccard, majorityNormalized } = computeMetrics(scored.map(r => r.text));
+  const latencies = ok.map(r => r.latency).filter(Number.isFinite);
+  const validated = scored.filter(r => r.validation);
+  return {
+    runs: results.length,
+    successes: ok.length,
+    flagged: ok.filter(r => r.flag).length,
+    scored: scored.length,
+    exactRate: scored.length ? exactRate : null,
+    avgJaccard: scored.length ? avgJaccard : null,
+    majorityNormalized: scored.length ? majorityNormalized : '',
+    majorityText: scored.find(r => normalizeText(r.text) === majorityNormalized)?.text ?? '',
+    schemaValidRate: validated.length ? validated.filter(r => r.validation.valid).length / validated.length : null,
+    avgLatency: latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : null,
+    medianLatency: percentile(latencies, 50),
+    minLatency: latencies.length ? Math.min(...latencies) : null,
+    maxLatency: latencies.length ? Math.max(...latencies) : null,
+    errors: results.length - ok.length,
+    errorRate: results.length ? (results.length - ok.length) / results.length : null,
+  };
+}
@@ -0,0 +1,125 @@
+// Synthetic responses for the mock provider: a fetch-compatible transport that answers Gemini
+// requests with weighted response variants, random latency and injected failures, all drawn
+// from a seeded generator so the same config and seed produce the same test.
+import { abortableSleep } from './utils.js';
+
+export const DEFAULT_MOCK_CONFIG = {
+  seed: 1,
+  latencyMs: { min: 150, max: 600 },
+  variants: [
+    { text: 'Paris', weight: 8 },
+    { text: 'paris.', weight: 1 },
+    { text: 'The capital of France is Paris.', weight: 1 },
+  ],
+  // Probability per attempt; keys are HTTP status codes or "timeout" (no response until aborted).
+  failures: { 429: 0.05, 503: 0.05, timeout: 0 },
+  retryAfterSeconds: 1,
+};
+
+const FAILURE_MESSAGES = {
+  429: { status: 'RESOURCE_EXHAUSTED', message: 'Resource has been exhausted (e.g. check quota).' },
+  500: { status: 'INTERNAL', message: 'An internal error has occurred.' },
+  503: { status: 'UNAVAILABLE', message: 'The model is overloaded. Please try again later.' },
+};
+
+export function parseMockConfig(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Mock config is not valid JSON (${e.message})`);
+  }
+  return normalizeMockConfig(config);
+}
+
+// Fills in defaults and throws an Error describing the first problem.
+export function normalizeMockConfig(config = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('Mock config must be a JSON object.');
+  const merged = { ...DEFAULT_MOCK_CONFIG, ...config };
+  if (!Array.isArray(merged.variants) || !merged.variants.length || merged.variants.some(v => typeof v?.text !== 'string')) {
+    throw new Error('Mock config needs a non-empty "variants" array of { "text": "…", "weight": n }.');
+  }
+  if (merged.variants.some(v => v.weight !== undefined && !(v.weight >= 0))) throw new Error('Mock variant weights must be numbers ≥ 0.');
+  const { min = 0, max = min } = merged.latencyMs || {};
+  if (!(min >= 0) || !(max >= min)) throw new Error('Mock "latencyMs" needs 0 ≤ min ≤ max.');
+  const failures = Object.entries(merged.failures || {});
+  if (failures.some(([key, p]) => (key !== 'timeout' && !/^[45]\d\d$/.test(key)) || !(p >= 0))) {
+    throw new Error('Mock "failures" maps HTTP status codes (4xx/5xx) or "timeout" to probabilities.');
+  }
+  if (failures.reduce((sum, [, p]) => sum + p, 0) > 1) throw new Error('Mock failure probabilities add up to more than 1.');
+  return merged;
+}
+
+// mulberry32: small, fast and good enough for picking variants.
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pickVariant(variants, random) {
+  const weights = variants.map(v => v.weight ?? 1);
+  let r = random() * weights.reduce((a, b) => a + b, 0);
+  return variants.find((v, i) => (r -= weights[i]) < 0) || variants[variants.length - 1];
+}
+
+const estimateTokens = text => Math.ceil(text.length / 4);
+
+function candidateJson(variant, index) {
+  return { index, content: { role: 'model', parts: [{ text: variant.text }] }, finishReason: variant.finishReason || 'STOP' };
+}
+
+function responseJson(variants, promptTokens) {
+  const outputTokens = variants.reduce((sum, v) => sum + estimateTokens(v.text), 0);
+  return {
+    candidates: variants.map(candidateJson),
+    usageMetadata: { promptTokenCount: promptTokens, candidatesTokenCount: outputTokens, totalTokenCount: promptTokens + outputTokens },
+    modelVersion: 'mock-1',
+  };
+}
+
+// The first variant streamed in three chunks; the last event carries finishReason and usage.
+function sseBody(variant, promptTokens) {
+  const { text } = variant;
+  const cuts = [0, Math.ceil(text.length / 3), Math.ceil((2 * text.length) / 3), text.length];
+  const events = cuts.slice(1).map((end, i) => ({ candidates: [{ content: { role: 'model', parts: [{ text: text.slice(cuts[i], end) }] } }] }));
+  Object.assign(events[events.length - 1], responseJson([variant], promptTokens), { candidates: [{ ...events[events.length - 1].candidates[0], finishReason: variant.finishReason || 'STOP' }] });
+  return events.map(e => `data: ${JSON.stringify(e)}\r\n\r\n`).join('');
+}
+
+export function createMockTransport(config = DEFAULT_MOCK_CONFIG) {
+  const random = seededRandom(config.seed ?? 1);
+  const { min = 0, max = min } = config.latencyMs || {};
+  const failures = Object.entries(config.failures || {}).filter(([, p]) => p > 0);
+
+  return async (url, init = {}) => {
+    const body = JSON.parse(init.body || '{}');
+    const promptTokens = estimateTokens(JSON.stringify(body.contents || ''));
+    await abortableSleep(Math.round(min + random() * (max - min)), init.signal);
+
+    let r = random();
+    const failure = failures.find(([, p]) => (r -= p) < 0)?.[0];
+    if (failure === 'timeout') {
+      // Never answers; the request's own timeout (or a cancel) aborts it.
+      return abortableSleep(2 ** 31 - 1, init.signal);
+    }
+    if (failure) {
+      const status = Number(failure);
+      const error = { code: status, ...(FAILURE_MESSAGES[status] || { status: 'MOCK_ERROR', message: `Mock HTTP ${status}` }) };
+      const headers = status === 429 || status === 503 ? { 'Retry-After': String(config.retryAfterSeconds ?? 1) } : {};
+      return new Response(JSON.stringify({ error }), { status, statusText: error.status, headers });
+    }
+
+    const count = Math.max(1, body.generationConfig?.candidateCount || 1);
+    const variants = Array.from({ length: count }, () => pickVariant(config.variants, random));
+    if (String(url).includes(':streamGenerateContent')) {
+      return new Response(sseBody(variants[0], promptTokens), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    }
+    return new Response(JSON.stringify(responseJson(variants, promptTokens)), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+}
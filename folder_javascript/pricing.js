@@ -0,0 +1,48 @@
+// USD per 1M tokens. Thinking tokens are billed at the output rate. These are list prices at the
+// time of writing; the table is editable in the UI and stored in IndexedDB.
+export const DEFAULT_PRICES = {
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemma-3-27b-it': { input: 0, output: 0 },
+};
+
+// Exact match first, then the longest listed name the model id starts with (e.g. dated previews).
+export function priceFor(model, prices) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+  const key = Object.keys(prices).filter(k => model.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+export function runCost(usage, price) {
+  if (!usage || !price) return null;
+  return (usage.promptTokens * price.input + (usage.outputTokens + usage.thinkingTokens) * price.output) / 1e6;
+}
+
+export const resultCost = (result, prices) => runCost(result.usage, priceFor(result.model, prices));
+
+export function summarizeUsage(results, prices) {
+  const withUsage = results.filter(r => r.usage);
+  if (!withUsage.length) return null;
+  const n = withUsage.length;
+  const sum = key => withUsage.reduce((s, r) => s + (r.usage[key] || 0), 0);
+  const costs = withUsage.map(r => resultCost(r, prices)).filter(c => c !== null);
+  const cost = costs.length ? costs.reduce((a, b) => a + b, 0) : null;
+  const totals = {
+    promptTokens: sum('promptTokens'),
+    outputTokens: sum('outputTokens'),
+    thinkingTokens: sum('thinkingTokens'),
+    totalTokens: sum('totalTokens'),
+  };
+  return {
+    runs: n,
+    ...totals,
+    avgPromptTokens: totals.promptTokens / n,
+    avgOutputTokens: totals.outputTokens / n,
+    avgThinkingTokens: totals.thinkingTokens / n,
+    avgTotalTokens: totals.totalTokens / n,
+    cost,
+    avgCost: costs.length ? cost / costs.length : null,
+    unpricedRuns: n - costs.length,
+  };
+}
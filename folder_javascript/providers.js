@@ -0,0 +1,206 @@
+// Each provider maps the tester's request parameters to one HTTP API and reads its responses.
+// A `responseSchema` switches the request to structured JSON output in the provider's dialect.
+// `buildRequest` returns { url, headers, body }; `extractText`/`extractChunk` read a parsed JSON
+// response / stream event, `extractCandidates` every candidate as { text, finishReason } and
+// `extractUsage` its token counts as
+// { promptTokens, outputTokens, thinkingTokens, totalTokens } (or null); `extractMeta` returns
+// { finishReason, safetyRatings, modelVersion, promptFeedback } with null for what the API omits.
+// `history` holds the earlier turns of a conversation as { role: 'user' | 'model', text, imageParts }.
+// Retries, timeouts and attempt bookkeeping live in api.js.
+
+import { toGeminiSchema, toJsonSchema } from './schema.js';
+
+const trimSlash = url => url.replace(/\/+$/, '');
+
+export const SAFETY_CATEGORIES = ['HARM_CATEGORY_HARASSMENT', 'HARM_CATEGORY_HATE_SPEECH', 'HARM_CATEGORY_SEXUALLY_EXPLICIT', 'HARM_CATEGORY_DANGEROUS_CONTENT'];
+export const SAFETY_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE', 'OFF'];
+export const DEFAULT_SAFETY_SETTINGS = SAFETY_CATEGORIES.map(category => ({ category, threshold: 'BLOCK_NONE' }));
+
+const TRUNCATED_REASONS = new Set(['MAX_TOKENS', 'length']);
+const BLOCKED_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY', 'content_filter']);
+
+// 'blocked', 'truncated' or 'empty' for responses that are not a complete answer, otherwise null.
+export function classifyResponse(meta, text) {
+  if (meta.promptFeedback?.blockReason || BLOCKED_REASONS.has(meta.finishReason)) return 'blocked';
+  if (TRUNCATED_REASONS.has(meta.finishReason)) return 'truncated';
+  if (!text.trim()) return 'empty';
+  return null;
+}
+
+const gemini = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  requiresKey: true,
+
+  buildRequest({ apiKey, model, prompt, imageParts, history = [], systemInstruction, temperature, topP, topK, maxOutputTokens, seed, stopSequences, candidateCount, safetySettings, thinkingBudget, stream, baseUrl, responseSchema }) {
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const url = `${trimSlash(baseUrl || this.defaultBaseUrl)}/models/${encodeURIComponent(model)}:${method}key=${encodeURIComponent(apiKey)}`;
+    const contents = [...history, { role: 'user', text: prompt, imageParts }].map(turn => ({
+      role: turn.role,
+      parts: [{ text: turn.text }, ...(turn.imageParts || [])]
+    }));
+
+    const config = {
+      temperature: temperature,
+      ...(topP > 0 && { topP: topP }),
+      ...(topK > 0 && { topK }),
+      ...(maxOutputTokens > 0 && { maxOutputTokens }),
+      ...(Number.isInteger(seed) && { seed }),
+      ...(stopSequences?.length && { stopSequences }),
+      ...(candidateCount > 1 && { candidateCount }),
+      response_mime_type: responseSchema ? 'application/json' : 'text/plain',
+      ...(responseSchema && { response_schema: toGeminiSchema(responseSchema) })
+    };
+
+    const body = {
+      contents,
+      ...(systemInstruction && { "system_instruction": { "parts": [{ "text": systemInstruction }] } }),
+      "safetySettings": safetySettings || DEFAULT_SAFETY_SETTINGS,
+      "generationConfig": {
+        ...config,
+        "thinkingConfig": {
+          "thinkingBudget": Math.max(0, Number.isFinite(+thinkingBudget) ? +thinkingBudget : 0)
+        }
+      }
+    };
+    return { url, headers: { 'Content-Type': 'application/json' }, body };
+  },
+
+  extractText(json) {
+    return json?.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '';
+  },
+
+  extractChunk(json) {
+    return json?.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '';
+  },
+
+  extractCandidates(json) {
+    return (json?.candidates || []).map(c => ({
+      text: c.content?.parts?.map(p => p.text || '').join('') || '',
+      finishReason: c.finishReason ?? null,
+    }));
+  },
+
+  extractMeta(json) {
+    const candidate = json?.candidates?.[0];
+    return {
+      finishReason: candidate?.finishReason ?? null,
+      safetyRatings: candidate?.safetyRatings ?? null,
+      modelVersion: json?.modelVersion ?? null,
+      promptFeedback: json?.promptFeedback ?? null,
+    };
+  },
+
+  // Streams repeat the running totals in every event; the last one wins.
+  extractUsage(json) {
+    const u = json?.usageMetadata;
+    if (!u) return null;
+    return {
+      promptTokens: u.promptTokenCount || 0,
+      outputTokens: u.candidatesTokenCount || 0,
+      thinkingTokens: u.thoughtsTokenCount || 0,
+      totalTokens: u.totalTokenCount || 0,
+    };
+  },
+};
+
+// Text parts (PDF text layers) stay text, PDFs go in as files, everything else as an image.
+function userContent(text, imageParts) {
+  const parts = imageParts.map((p) => {
+    if (p.text !== undefined) return { type: 'text', text: p.text };
+    const url = `data:${p.inline_data.mime_type};base64,${p.inline_data.data}`;
+    if (p.inline_data.mime_type === 'application/pdf') return { type: 'file', file: { filename: 'document.pdf', file_data: url } };
+    return { type: 'image_url', image_url: { url } };
+  });
+  return parts.length ? [{ type: 'text', text }, ...parts] : text;
+}
+
+// Chat Completions format used by OpenAI and most gateways / local servers (vLLM, Ollama, LM Studio…).
+// The API has no top-K or safety settings; those parameters are not sent.
+const openai = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  requiresKey: false,
+
+  buildRequest({ apiKey, model, prompt, imageParts, history = [], systemInstruction, temperature, topP, maxOutputTokens, seed, stopSequences, candidateCount, stream, baseUrl, responseSchema }) {
+    const body = {
+      model,
+      messages: [
+        ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+        ...history.map(turn => (turn.role === 'model'
+          ? { role: 'assistant', content: turn.text }
+          : { role: 'user', content: userContent(turn.text, turn.imageParts || []) })),
+        { role: 'user', content: userContent(prompt, imageParts) }
+      ],
+      temperature,
+      ...(topP > 0 && { top_p: topP }),
+      ...(maxOutputTokens > 0 && { max_tokens: maxOutputTokens }),
+      ...(Number.isInteger(seed) && { seed }),
+      ...(stopSequences?.length && { stop: stopSequences }),
+      ...(candidateCount > 1 && { n: candidateCount }),
+      ...(stream && { stream: true, stream_options: { include_usage: true } }),
+      ...(responseSchema && { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: toJsonSchema(responseSchema) } } }),
+    };
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return { url: `${trimSlash(baseUrl || this.defaultBaseUrl)}/chat/completions`, headers, body };
+  },
+
+  extractText(json) {
+    const content = json?.choices?.[0]?.message?.content;
+    return typeof content === 'string' ? content : '';
+  },
+
+  extractChunk(json) {
+    return json?.choices?.[0]?.delta?.content || '';
+  },
+
+  extractCandidates(json) {
+    return (json?.choices || []).map(c => ({
+      text: typeof c.message?.content === 'string' ? c.message.content : '',
+      finishReason: c.finish_reason ?? null,
+    }));
+  },
+
+  extractMeta(json) {
+    return {
+      finishReason: json?.choices?.[0]?.finish_reason ?? null,
+      safetyRatings: null,
+      modelVersion: json?.model ?? null,
+      promptFeedback: null,
+    };
+  },
+
+  // `completion_tokens` includes reasoning tokens; they are split out to match Gemini's counts.
+  extractUsage(json) {
+    const u = json?.usage;
+    if (!u) return null;
+    const thinking = u.completion_tokens_details?.reasoning_tokens || 0;
+    return {
+      promptTokens: u.prompt_tokens || 0,
+      outputTokens: (u.completion_tokens || 0) - thinking,
+      thinkingTokens: thinking,
+      totalTokens: u.total_tokens || 0,
+    };
+  },
+};
+
+// Offline provider for demos and development: Gemini's request and response format, answered
+// by the mock transport in mock.js instead of the network.
+const mock = {
+  ...gemini,
+  id: 'mock',
+  label: 'Mock (offline)',
+  defaultBaseUrl: 'mock://local',
+  requiresKey: false,
+};
+
+export const PROVIDERS = { gemini, openai, mock };
+
+export function getProvider(id) {
+  const provider = PROVIDERS[id || 'gemini'];
+  if (!provider) throw new Error(`Unknown provider: ${id}`);
+  return provider;
+}
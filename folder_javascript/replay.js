@@ -0,0 +1,69 @@
+// Record and replay of model responses. Both are fetch-compatible transports for callModel:
+// recording passes requests through and stores every response under a hash of the request,
+// replay answers from those recordings without touching the network.
+import { abortableSleep } from './utils.js';
+import { recordingAppend, recordingGet } from './db.js';
+
+export const NETWORK_MODES = {
+  live: 'Live',
+  record: 'Record',
+  replay: 'Replay',
+};
+
+// API keys travel in the URL (Gemini) or headers (OpenAI); neither is part of the key, so
+// recordings survive a key change and never contain one.
+const stripKey = url => String(url).replace(/([?&])key=[^&]*&?/, '$1').replace(/[?&]$/, '');
+
+const modelOf = (url, body) => body?.model || decodeURIComponent(String(url).match(/\/models\/([^:/?]+)/)?.[1] || '');
+
+// SHA-256 of the endpoint and the request body: model, generation parameters, prompt and the
+// base64 attachments all change it.
+export async function requestKey(url, init) {
+  const bytes = new TextEncoder().encode(`${stripKey(url)}\n${init.body || ''}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function createRecordingTransport(transport = fetch, { onRecorded } = {}) {
+  return async (url, init) => {
+    const t0 = performance.now();
+    const res = await transport(url, init);
+    // Stored once the whole body has arrived, so streamed responses are recorded complete.
+    const copy = res.clone();
+    copy.text()
+      .then(async (body) => {
+        const response = {
+          status: res.status,
+          statusText: res.statusText,
+          headers: Object.fromEntries(['Content-Type', 'Retry-After'].filter(h => res.headers.get(h)).map(h => [h, res.headers.get(h)])),
+          body,
+          durationMs: Math.round(performance.now() - t0),
+        };
+        const parsed = JSON.parse(init.body || '{}');
+        await recordingAppend(await requestKey(url, init), response, { url: stripKey(url), model: modelOf(url, parsed) });
+        onRecorded?.();
+      })
+      .catch(e => console.error('Recording the response failed:', e));
+    return res;
+  };
+}
+
+// Recorded responses are served in order per request and start over when a test has more runs
+// than recordings. Unrecorded requests get a 404, which is not retried.
+export function createReplayTransport({ simulateLatency = false } = {}) {
+  const cursors = new Map();
+  return async (url, init) => {
+    const key = await requestKey(url, init);
+    const recording = await recordingGet(key);
+    if (!recording?.responses.length) {
+      const error = { code: 404, status: 'NOT_RECORDED', message: 'No recording for this request. Record it first, or change the model, parameters, prompt or attachments back.' };
+      return new Response(JSON.stringify({ error }), { status: 404, statusText: 'Not Recorded' });
+    }
+    const i = cursors.get(key) || 0;
+    cursors.set(key, i + 1);
+    const response = recording.responses[i % recording.responses.length];
+    if (simulateLatency) await abortableSleep(response.durationMs, init.signal);
+    else if (init.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  };
+}
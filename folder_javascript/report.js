@@ -0,0 +1,285 @@
+// Shareable reports of one consistency test: a self-contained HTML page, a Markdown summary for
+// tickets and a CSV with one row per run. All three are built from the same report object, which
+// main.js assembles from the last run; `redact` scrubs API keys from it first.
+import { formatDuration, formatCost, truncate, normalizeText } from './utils.js';
+import { computeMetrics, computeAccuracy, summarizeRuns, clusterResponses, scoredRuns, countFinishReasons } from './metrics.js';
+import { resultCost, summarizeUsage } from './pricing.js';
+import { summarizeValidation } from './schema.js';
+import { countErrorCategories, countRetries, ERROR_CATEGORIES } from './retry.js';
+import { computeStats, histogram } from './stats.js';
+import { latencyByRunSvg, latencyHistogramSvg, clusterBarsSvg } from './charts.js';
+import { formatTranscript } from './conversation.js';
+
+const REDACTED = '[REDACTED]';
+
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const pct = v => v === null || v === undefined ? '–' : (v * 100).toFixed(1) + '%';
+const ms = v => v === null || v === undefined ? '–' : formatDuration(Math.round(v));
+const withInterval = (rate, interval) => rate === null ? '–' : `${pct(rate)}${interval ? ` (95% CI ${pct(interval.low)} – ${pct(interval.high)})` : ''}`;
+
+// Replaces every secret (and any `key=` query parameter) in every string of `value`.
+export function redact(value, secrets = []) {
+  const keys = secrets.filter(s => s && s.length >= 4);
+  const scrub = s => keys.reduce((out, k) => out.split(k).join(REDACTED), s).replace(/([?&]key=)[^&\s"']+/gi, `$1${REDACTED}`);
+  const walk = (v) => {
+    if (typeof v === 'string') return scrub(v);
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).filter(([k]) => k !== 'apiKey').map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return walk(value);
+}
+
+// Everything the three formats need, computed once. `meta` is the JSON export's meta block.
+export function buildReport({ meta, prompt, expected = null, results, attachments = [], prices, excludeFlagged = false, clusterThreshold = 0.9, title = 'Consistency Test Report' }) {
+  const options = { excludeFlagged };
+  const scored = scoredRuns(results, options);
+  const texts = scored.map(r => r.text);
+  const metrics = computeMetrics(texts);
+  const label = r => (r.candidate ? `${r.index}.${r.candidate}` : String(r.index));
+  return {
+    title,
+    generatedAt: new Date().toISOString(),
+    meta,
+    prompt,
+    expected,
+    attachments,
+    summary: summarizeRuns(results, options),
+    stats: computeStats(results, options),
+    metrics,
+    clusters: clusterResponses(texts, { threshold: clusterThreshold }).map(c => ({ ...c, runs: c.members.map(m => label(scored[m])) })),
+    accuracy: computeAccuracy(scored),
+    usage: summarizeUsage(results, prices),
+    validation: summarizeValidation(scored),
+    finishReasons: countFinishReasons(results),
+    errorCategories: countErrorCategories(results),
+    results: results.map(r => ({
+      ...r,
+      cost: resultCost(r, prices),
+      matchesMajority: scored.some(o => o.index === r.index && normalizeText(o.text) === metrics.majorityNormalized),
+    })),
+  };
+}
+
+const categoryLabel = c => ERROR_CATEGORIES[c] || c;
+const runStatus = r => r.ok ? (r.flag || 'ok') : r.cancelled ? 'cancelled' : `error${r.errorCategory ? ` (${categoryLabel(r.errorCategory)})` : ''}`;
+
+function configRows(report) {
+  const { meta } = report;
+  const g = meta.generationConfig || {};
+  return [
+    ['Provider', meta.provider],
+    ['Model', meta.model],
+    ['Runs', meta.runs],
+    ['Started', meta.startTime],
+    ['Finished', meta.endTime],
+    ['Temperature', g.temperature],
+    ['Top-P', g.topP],
+    ['Top-K', g.topK],
+    ['Thinking budget', g.thinkingBudget],
+    ['Max output tokens', g.maxOutputTokens],
+    ['Seed', g.seed],
+    ['Candidates', g.candidateCount],
+    ['Stop sequences', g.stopSequences?.length ? JSON.stringify(g.stopSequences) : null],
+    ['System instruction', g.systemInstruction],
+    ['Conversation', meta.conversation ? `${meta.conversation.turns.length} scripted turn(s) after the prompt${meta.conversation.ownAnswers ? ', own answers fed back' : ''}` : null],
+    ['Response schema', meta.schema ? (meta.schema.enforced ? 'enforced' : 'validated only') : null],
+    ['Template', meta.template ? `${meta.template.name} v${meta.template.version}${meta.template.modified ? ' (edited)' : ''}` : null],
+    ['Retry policy', meta.retryPolicy ? `${meta.retryPolicy.maxAttempts} attempts, ${meta.retryPolicy.baseDelayMs} ms base delay` : null],
+    ['Flagged responses', meta.excludeFlagged ? 'excluded from metrics' : 'included in metrics'],
+  ].filter(([, v]) => v !== null && v !== undefined && v !== '');
+}
+
+function metricRows(report) {
+  const { summary, metrics, accuracy, usage, validation, stats } = report;
+  const scored = summary.scored > 0;
+  const { latency, retries } = stats;
+  return [
+    ['Success', `${summary.successes}/${summary.runs} · ${withInterval(stats.successRate, stats.successInterval)}`],
+    ['Exact match', withInterval(stats.exactRate, stats.exactInterval)],
+    ['Token Jaccard', pct(summary.avgJaccard)],
+    ['Edit similarity', pct(scored ? metrics.avgEditSimilarity : null)],
+    ['Char 3-gram similarity', pct(scored ? metrics.avgNgramSimilarity : null)],
+    ['Answer entropy', scored ? `${metrics.entropy.toFixed(2)} bits` : '–'],
+    ['Clusters', report.clusters.length],
+    ['Latency p50 / p90 / p95 / max', latency ? [latency.p50, latency.p90, latency.p95, latency.max].map(ms).join(' / ') : '–'],
+    ['Latency mean ± sd', latency ? `${ms(latency.mean)} ± ${ms(latency.stddev)}` : '–'],
+    ['Retries', `${retries.total} in ${retries.runs} run(s)`],
+    ...(validation ? [['Schema valid', pct(validation.validRate)]] : []),
+    ...(accuracy ? [['Accuracy (exact)', pct(accuracy.exactRate)], ['Accuracy (field F1)', pct(accuracy.avgF1)]] : []),
+    ...(usage ? [['Avg tokens / run', Math.round(usage.avgTotalTokens).toLocaleString()], ['Est. cost (total)', formatCost(usage.cost)]] : []),
+    ...(report.errorCategories.length ? [['Errors', report.errorCategories.map(c => `${categoryLabel(c.category)} × ${c.count}`).join(', ')]] : []),
+    ...(report.finishReasons.length ? [['Finish reasons', report.finishReasons.map(f => `${f.reason} × ${f.count}`).join(', ')]] : []),
+  ];
+}
+
+const HTML_STYLE = `
+  body { font: 14px/1.5 system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: #0f172a; margin: 24px auto; max-width: 1100px; padding: 0 16px; }
+  h1 { font-size: 22px; margin-bottom: 4px; } h2 { font-size: 17px; margin-top: 28px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; } th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; }
+  th { background: #f8fafc; font-weight: 600; } .kv td:first-child { width: 220px; color: #475569; }
+  pre { white-space: pre-wrap; word-break: break-word; background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px; margin: 0; max-height: 360px; overflow: auto; }
+  .mono, pre { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12.5px; }
+  .muted { color: #64748b; } .ok { color: #15803d; } .warn { color: #b45309; } .err { color: #b91c1c; }
+  .thumbs { display: flex; flex-wrap: wrap; gap: 12px; } .thumbs figure { margin: 0; font-size: 12px; color: #475569; } .thumbs img { display: block; max-width: 160px; max-height: 160px; border: 1px solid #e2e8f0; border-radius: 6px; }
+  details summary { cursor: pointer; }
+`;
+
+// Per-turn consistency is only reported when more than the last turn was generated.
+const turnRows = report => (report.meta.turnMetrics?.length > 1 ? report.meta.turnMetrics : []);
+
+const kvTable = rows => `<table class="kv">${rows.map(([k, v]) => `<tr><td>${esc(k)}</td><td class="mono">${esc(v)}</td></tr>`).join('')}</table>`;
+const statusClass = r => r.ok ? (r.flag ? 'warn' : 'ok') : 'err';
+
+export function toHtmlReport(report) {
+  const { summary } = report;
+  const attachments = report.attachments.length ? `
+<h2>Attachments</h2>
+${report.attachments.some(a => a.thumbnail) ? `<div class="thumbs">${report.attachments.map(a => `<figure>${a.thumbnail ? `<img src="${a.thumbnail}" alt="${esc(a.name)}" />` : ''}<figcaption>${esc(a.name)}</figcaption></figure>`).join('')}</div>` : ''}
+<table><thead><tr><th>File</th><th>Type</th><th>Size</th><th>SHA-256</th></tr></thead><tbody>
+${report.attachments.map(a => `<tr><td>${esc(a.name)}</td><td class="mono">${esc(a.type)}</td><td class="mono">${a.size}</td><td class="mono">${esc(a.sha256 || '–')}</td></tr>`).join('\n')}
+</tbody></table>` : '';
+
+  const clusters = report.clusters.map((c, i) => `<tr><td class="mono">${i + 1}</td><td class="mono">${c.size}</td><td class="mono">${pct(c.share)}</td><td class="mono">${esc(c.runs.join(', '))}</td><td><pre>${esc(c.representative)}</pre></td></tr>`).join('\n');
+  const runs = report.results.map(r => `<tr>
+  <td class="mono">${r.index}</td><td class="${statusClass(r)}">${esc(runStatus(r))}</td><td class="mono">${ms(r.latency)}</td>
+  <td class="mono">${r.usage ? r.usage.totalTokens : '–'}</td><td class="mono">${esc(formatCost(r.cost))}</td>
+  <td><details><summary class="mono">${esc(truncate(r.text || r.error || '', 100))}</summary><pre>${esc(r.turns ? formatTranscript(r) + (r.error ? `\n\n${r.error}` : '') : r.text || r.error || '')}</pre></details></td>
+</tr>`).join('\n');
+
+  const turns = turnRows(report).map(t => `<tr><td class="mono">${t.turn}</td><td class="mono">${esc(truncate(t.user, 80))}</td><td class="mono">${t.scored}</td><td class="mono">${pct(t.exactRate)}</td><td class="mono">${pct(t.avgJaccard)}</td><td class="mono">${pct(t.avgEditSimilarity)}</td></tr>`).join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${esc(report.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${esc(report.title)}</h1>
+<div class="muted">Generated ${esc(report.generatedAt)} · ${esc(report.meta.model)} · ${summary.runs} runs</div>
+
+<h2>Configuration</h2>
+${kvTable(configRows(report))}
+${report.meta.generationConfig ? `<details><summary>Full generation config</summary><pre>${esc(JSON.stringify(report.meta.generationConfig, null, 2))}</pre></details>` : ''}
+
+<h2>Prompt</h2>
+<pre>${esc(report.prompt)}</pre>
+${report.expected ? `<h2>Expected Output</h2>\n<pre>${esc(report.expected)}</pre>` : ''}
+${attachments}
+
+<h2>Metrics</h2>
+${kvTable(metricRows(report))}
+
+${turns ? `<h2>Consistency per Turn</h2>
+<table><thead><tr><th>Turn</th><th>User</th><th>Scored</th><th>Exact</th><th>Jaccard</th><th>Edit</th></tr></thead><tbody>
+${turns}
+</tbody></table>` : ''}
+
+<h2>Latency</h2>
+${latencyByRunSvg(report.results)}
+<div class="muted">Green: ok · amber: truncated, blocked or empty · red: failed.</div>
+${latencyHistogramSvg(histogram(report.results.filter(r => r.ok).map(r => r.latency)))}
+
+<h2>Majority Response</h2>
+<pre>${esc(summary.majorityText || '–')}</pre>
+
+<h2>Clusters</h2>
+${clusterBarsSvg(report.clusters)}
+<table><thead><tr><th>#</th><th>Runs</th><th>Share</th><th>Members</th><th>Representative</th></tr></thead><tbody>
+${clusters || '<tr><td colspan="5" class="muted">No successful runs.</td></tr>'}
+</tbody></table>
+
+<h2>Runs</h2>
+<table><thead><tr><th>#</th><th>Status</th><th>Latency</th><th>Tokens</th><th>Cost</th><th>Output</th></tr></thead><tbody>
+${runs}
+</tbody></table>
+</body>
+</html>
+`;
+}
+
+// A fence longer than any backtick run in the text, so outputs containing ``` stay intact.
+function fenced(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(m => m.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}\n${text}\n${fence}`;
+}
+
+const mdCell = s => String(s ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+export function toMarkdownReport(report, { maxOutputChars = 1500 } = {}) {
+  const majority = report.summary.majorityText || '–';
+  const lines = [
+    `## ${report.title}`,
+    '',
+    `\`${report.meta.model}\` (${report.meta.provider}) · ${report.summary.runs} runs · ${report.meta.startTime || report.generatedAt}`,
+    '',
+    '| Metric | Value |',
+    '| --- | --- |',
+    ...metricRows(report).map(([k, v]) => `| ${mdCell(k)} | ${mdCell(v)} |`),
+    '',
+    '<details><summary>Configuration</summary>',
+    '',
+    '| Setting | Value |',
+    '| --- | --- |',
+    ...configRows(report).map(([k, v]) => `| ${mdCell(k)} | ${mdCell(v)} |`),
+    '',
+    '</details>',
+    '',
+    '**Majority response**',
+    '',
+    fenced(truncate(majority, maxOutputChars)),
+  ];
+  if (turnRows(report).length) {
+    lines.push('', '**Consistency per turn**', '', '| Turn | User | Exact | Jaccard | Edit |', '| --- | --- | --- | --- | --- |');
+    turnRows(report).forEach(t => lines.push(`| ${t.turn} | ${mdCell(truncate(t.user, 60))} | ${pct(t.exactRate)} | ${pct(t.avgJaccard)} | ${pct(t.avgEditSimilarity)} |`));
+  }
+  if (report.clusters.length > 1) {
+    lines.push('', '**Clusters**', '', '| # | Runs | Share | Representative |', '| --- | --- | --- | --- |');
+    report.clusters.slice(0, 5).forEach((c, i) => lines.push(`| ${i + 1} | ${c.size} | ${pct(c.share)} | ${mdCell(truncate(c.representative, 80))} |`));
+    if (report.clusters.length > 5) lines.push(`| … | | | ${report.clusters.length - 5} more |`);
+  }
+  const failed = report.results.filter(r => !r.ok || r.flag);
+  if (failed.length) {
+    lines.push('', '**Failed or flagged runs**', '');
+    failed.forEach(r => lines.push(`- Run ${r.index}: ${runStatus(r)}${r.error ? ` — ${truncate(r.error, 120)}` : ''}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+const CSV_COLUMNS = [
+  ['run', r => r.index],
+  ['status', r => r.ok ? (r.flag || 'ok') : r.cancelled ? 'cancelled' : 'error'],
+  ['error_category', r => r.errorCategory || ''],
+  ['finish_reason', r => r.finishReason || ''],
+  ['start_time', r => r.startTime || ''],
+  ['latency_ms', r => r.latency ?? ''],
+  ['ttft_ms', r => r.ttft ?? ''],
+  ['attempts', r => r.attempts?.length || 0],
+  ['retries', r => countRetries(r.attempts)],
+  ['prompt_tokens', r => r.usage?.promptTokens ?? ''],
+  ['output_tokens', r => r.usage?.outputTokens ?? ''],
+  ['thinking_tokens', r => r.usage?.thinkingTokens ?? ''],
+  ['total_tokens', r => r.usage?.totalTokens ?? ''],
+  ['cost_usd', r => r.cost ?? ''],
+  ['matches_majority', r => r.ok ? String(Boolean(r.matchesMajority)) : ''],
+  ['accuracy_exact', r => r.accuracy ? String(r.accuracy.exact) : ''],
+  ['accuracy_similarity', r => r.accuracy ? r.accuracy.similarity.toFixed(4) : ''],
+  ['accuracy_f1', r => r.accuracy?.fields ? r.accuracy.fields.f1.toFixed(4) : ''],
+  ['schema_valid', r => r.validation ? String(r.validation.valid) : ''],
+  ['output', r => r.text || r.error || ''],
+];
+
+// Text starting with = + - @ (or a tab / CR) would run as a formula in Excel or Sheets.
+const csvCell = (v) => {
+  const s = typeof v === 'string' && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(results) {
+  return [CSV_COLUMNS.map(([name]) => name), ...results.map(r => CSV_COLUMNS.map(([, read]) => read(r)))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
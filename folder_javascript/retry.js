@@ -0,0 +1,109 @@
+// Retry policy and failure taxonomy for model requests. Every failed attempt gets a category so
+// infrastructure noise (rate limits, timeouts, outages) can be told apart from bad requests.
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  jitter: true,
+  retryStatuses: [429, 500, 502, 503, 504],
+  retryTimeouts: true,
+  retryNetworkErrors: true,
+  honorRetryAfter: true,
+};
+
+export const ERROR_CATEGORIES = {
+  timeout: 'Timeout',
+  rate_limit: 'Rate limit',
+  quota: 'Quota',
+  auth: 'Auth',
+  invalid_request: 'Invalid request',
+  server: 'Server',
+  network: 'Network',
+  cancelled: 'Cancelled',
+  other: 'Other',
+};
+
+// Categories caused by the service or the connection rather than by the request or the model.
+export const INFRASTRUCTURE_CATEGORIES = new Set(['timeout', 'rate_limit', 'quota', 'server', 'network']);
+
+export function normalizePolicy(policy = {}) {
+  const p = { ...DEFAULT_RETRY_POLICY, ...policy };
+  return {
+    ...p,
+    maxAttempts: Math.max(1, Math.round(p.maxAttempts) || 1),
+    baseDelayMs: Math.max(0, p.baseDelayMs || 0),
+    maxDelayMs: Math.max(0, p.maxDelayMs || 0),
+  };
+}
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Both APIs wrap errors as { error: {...} }; OpenAI-compatible servers sometimes send a bare array.
+const errorOf = body => (Array.isArray(body) ? body[0] : body)?.error || null;
+
+export function classifyHttpError(status, bodyText) {
+  const error = errorOf(parseJson(bodyText));
+  const details = error?.details || [];
+  const reasons = details.map(d => d.reason).filter(Boolean);
+  const text = `${error?.status || ''} ${error?.code || ''} ${error?.type || ''} ${error?.message || ''}`.toLowerCase();
+
+  if (status === 401 || status === 403 || reasons.some(r => /API_KEY|PERMISSION/.test(r))) return 'auth';
+  if (status === 429) {
+    const daily = details.some(d => d.violations?.some(v => /PerDay/i.test(v.quotaId || '')));
+    return daily || /insufficient_quota|billing|exceeded your current quota/.test(text) ? 'quota' : 'rate_limit';
+  }
+  if (status === 408) return 'timeout';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'invalid_request';
+  return 'other';
+}
+
+// Milliseconds the server asked us to wait, from a Retry-After header (seconds or HTTP date)
+// or a google.rpc.RetryInfo detail ("retryDelay": "12.5s"); null when neither is present.
+export function parseRetryAfter(headers, bodyText) {
+  const header = headers?.get?.('Retry-After');
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const info = (errorOf(parseJson(bodyText))?.details || []).find(d => /RetryInfo$/.test(d['@type'] || ''));
+  const match = String(info?.retryDelay || '').match(/^([\d.]+)s$/);
+  return match ? parseFloat(match[1]) * 1000 : null;
+}
+
+export function shouldRetry(policy, category, status) {
+  if (category === 'timeout') return policy.retryTimeouts;
+  if (category === 'network') return policy.retryNetworkErrors;
+  if (category === 'quota' || category === 'auth' || category === 'cancelled') return false;
+  return status !== null && policy.retryStatuses.includes(status);
+}
+
+// Exponential backoff (base · 2^retry) with equal jitter, capped at maxDelayMs. A server-provided
+// delay wins when the policy honours it.
+export function retryDelay(policy, retry, retryAfterMs = null, random = Math.random) {
+  if (policy.honorRetryAfter && retryAfterMs !== null) return Math.min(retryAfterMs, policy.maxDelayMs);
+  const exp = Math.min(policy.baseDelayMs * 2 ** retry, policy.maxDelayMs);
+  return Math.round(policy.jitter ? exp / 2 + random() * (exp / 2) : exp);
+}
+
+// Attempts beyond the first of each request. Conversation runs make one request per generated
+// turn and tag its attempts with `turn`; a new turn is not a retry.
+export function countRetries(attempts = []) {
+  return Math.max(0, attempts.length - new Set(attempts.map(a => a.turn ?? 1)).size);
+}
+
+export function countErrorCategories(results) {
+  const counts = new Map();
+  results.filter(r => !r.ok && !r.cancelled).forEach(r => counts.set(r.errorCategory || 'other', (counts.get(r.errorCategory || 'other') || 0) + 1));
+  return [...counts].map(([category, count]) => ({ category, count, infrastructure: INFRASTRUCTURE_CATEGORIES.has(category) }))
+    .sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,55 @@
+import { callModel } from './api.js';
+import { runConversation } from './conversation.js';
+import { createThrottle, runScheduled } from './scheduler.js';
+import { scoreAgainstReference } from './metrics.js';
+import { validateOutput } from './schema.js';
+
+export async function runSeries({ params, total, concurrency = 1, delayMs = 0, rpm = 0, throttle, reference = '', tolerance = 0, schema = null, isCancelled = () => false, onResult, onSettled, onPartial }) {
+  const gate = throttle || createThrottle({ rpm, isCancelled });
+  const requestParams = {
+    ...params,
+    beforeAttempt: gate.acquire,
+    onAttempt: (attempt) => {
+      if (attempt.httpStatus === 429 || attempt.httpStatus === 503) gate.penalize();
+      else if (!attempt.errorMessage) gate.reward();
+    }
+  };
+
+  return runScheduled({
+    total,
+    concurrency,
+    delayMs,
+    isCancelled,
+    task: async (i) => {
+      try {
+        // With a `conversation` (see conversation.js) each run replays every turn.
+        const result = await (params.conversation ? runConversation : callModel)({
+          ...requestParams,
+          ...(onPartial && { onChunk: text => onPartial(i, text) }),
+        });
+        // Validated whether or not the schema was sent, so runs with and without it can be compared.
+        const score = text => ({
+          ...(reference && { accuracy: scoreAgainstReference(text, reference, { tolerance }) }),
+          ...(schema && { validation: validateOutput(text, schema) }),
+        });
+        const enrichedResult = { index: i, ok: true, model: params.model, ...result, ...score(result.text) };
+        if (result.candidates) enrichedResult.candidates = result.candidates.map(c => ({ ...c, ...score(c.text) }));
+        return enrichedResult;
+      } catch (err) {
+        return {
+          index: i,
+          ok: false,
+          model: params.model,
+          latency: null,
+          error: String(err),
+          errorCategory: err.category || 'other',
+          ...(err.cancelled && { cancelled: true }),
+          attempts: err.attempts || [],
+          ...(err.turns && { turns: err.turns }),
+        };
+      }
+    },
+    onResult,
+    onSettled,
+  });
+}
@@ -0,0 +1,83 @@
+import { sleep } from './utils.js';
+
+const WINDOW_MS = 60000;
+const POLL_MS = 250;
+
+// Shared gate for every HTTP attempt of a test: enforces a requests-per-minute window and a
+// global pause that grows exponentially while the API keeps answering 429/503.
+export function createThrottle({ rpm = 0, backoffMs = 2000, maxBackoffMs = 60000, isCancelled = () => false } = {}) {
+  const starts = [];
+  let pausedUntil = 0;
+  let backoff = backoffMs;
+  let queue = Promise.resolve();
+
+  const wait = async ms => {
+    const until = Date.now() + ms;
+    while (Date.now() < until && !isCancelled()) {
+      await sleep(Math.min(POLL_MS, until - Date.now()));
+    }
+  };
+
+  function acquire() {
+    const turn = queue.then(async () => {
+      while (!isCancelled()) {
+        const now = Date.now();
+        if (now < pausedUntil) {
+          await wait(pausedUntil - now);
+          continue;
+        }
+        while (starts.length && now - starts[0] >= WINDOW_MS) starts.shift();
+        if (rpm > 0 && starts.length >= rpm) {
+          await wait(WINDOW_MS - (now - starts[0]));
+          continue;
+        }
+        starts.push(now);
+        return;
+      }
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  function penalize() {
+    pausedUntil = Math.max(pausedUntil, Date.now() + backoff);
+    backoff = Math.min(backoff * 2, maxBackoffMs);
+  }
+
+  function reward() {
+    backoff = backoffMs;
+  }
+
+  return {
+    acquire,
+    penalize,
+    reward,
+    get pausedMs() { return Math.max(0, pausedUntil - Date.now()); },
+  };
+}
+
+// Runs `task(runNumber)` for runs 1..total with up to `concurrency` in flight. Tasks must not
+// throw. `onResult` is called in run order, `onSettled` after every completion.
+export async function runScheduled({ total, concurrency = 1, delayMs = 0, isCancelled = () => false, task, onResult, onSettled }) {
+  const results = new Array(total);
+  let next = 0;
+  let delivered = 0;
+  let settled = 0;
+
+  const worker = async () => {
+    while (next < total && !isCancelled()) {
+      const index = next++;
+      results[index] = await task(index + 1);
+      onSettled?.(++settled, total);
+      while (delivered < total && results[delivered] !== undefined) {
+        onResult?.(results[delivered], delivered + 1);
+        delivered++;
+      }
+      if (delayMs > 0 && next < total && !isCancelled()) await sleep(delayMs);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, total));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return { completed: delivered, results: results.slice(0, delivered) };
+}
@@ -0,0 +1,159 @@
+// Response schemas for structured output. The editor accepts Gemini's OpenAPI subset
+// (`"type": "OBJECT"`, `nullable`) as well as plain JSON Schema (`"type": ["string", "null"]`);
+// each provider gets its own dialect and every run is validated against the same schema.
+// Gemini is sent only the keywords it accepts; the rest still apply to local validation.
+import { parseJsonOutput } from './metrics.js';
+
+const TYPES = new Set(['string', 'number', 'integer', 'boolean', 'array', 'object', 'null']);
+const MAX_ERRORS = 20;
+
+export function parseSchema(text) {
+  if (!text.trim()) return null;
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Response schema is not valid JSON (${e.message})`);
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error('Response schema must be a JSON object.');
+  const unknown = collectTypes(schema).filter(t => !TYPES.has(t));
+  if (unknown.length) throw new Error(`Response schema has unknown type(s): ${[...new Set(unknown)].join(', ')}`);
+  return schema;
+}
+
+const typesOf = schema => (Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : []).map(t => String(t).toLowerCase());
+
+function collectTypes(schema) {
+  if (!schema || typeof schema !== 'object') return [];
+  const children = [
+    ...Object.values(schema.properties || {}),
+    ...(schema.items ? [schema.items] : []),
+    ...(schema.anyOf || []),
+  ];
+  return [...typesOf(schema), ...children.flatMap(collectTypes)];
+}
+
+// Rewrites `type` (and nullability) in every nested schema.
+function mapTypes(schema, convert) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = { ...convert(schema) };
+  if (schema.properties) out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, mapTypes(v, convert)]));
+  if (schema.items) out.items = mapTypes(schema.items, convert);
+  if (schema.anyOf) out.anyOf = schema.anyOf.map(s => mapTypes(s, convert));
+  return out;
+}
+
+// What Gemini's `response_schema` accepts; it rejects requests with anything else, such as
+// `additionalProperties`, `$schema` or `$ref`.
+const GEMINI_KEYWORDS = new Set(['type', 'format', 'title', 'description', 'nullable', 'enum', 'default', 'example',
+  'properties', 'required', 'propertyOrdering', 'minProperties', 'maxProperties', 'items', 'minItems', 'maxItems',
+  'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'anyOf']);
+
+// Replaces local `$ref`s (`#/$defs/…`, `#/definitions/…`) with what they point to. A reference
+// back into itself cannot be inlined and becomes an empty schema.
+function inlineRefs(node, root = node, seen = []) {
+  if (Array.isArray(node)) return node.map(n => inlineRefs(n, root, seen));
+  if (!node || typeof node !== 'object') return node;
+  const { $ref, ...rest } = node;
+  if (typeof $ref === 'string' && $ref.startsWith('#')) {
+    if (seen.includes($ref)) return {};
+    const target = $ref.slice(1).split('/').filter(Boolean)
+      .reduce((o, key) => o?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    return inlineRefs({ ...target, ...rest }, root, [...seen, $ref]);
+  }
+  return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, inlineRefs(v, root, seen)]));
+}
+
+export const toGeminiSchema = schema => mapTypes(inlineRefs(schema), (s) => {
+  const supported = Object.fromEntries(Object.entries(s).filter(([k]) => GEMINI_KEYWORDS.has(k)));
+  const types = typesOf(s);
+  if (!types.length) return supported;
+  const nullable = s.nullable || types.includes('null');
+  const type = types.find(t => t !== 'null') || 'string';
+  return { ...supported, type: type.toUpperCase(), ...(nullable && { nullable: true }) };
+});
+
+export const toJsonSchema = schema => mapTypes(schema, ({ nullable, ...s }) => {
+  const types = typesOf(s);
+  if (!types.length) return s;
+  const all = nullable && !types.includes('null') ? [...types, 'null'] : types;
+  return { ...s, type: all.length === 1 ? all[0] : all };
+});
+
+function typeMatches(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+const describe = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+export function validateValue(value, schema, path = '$', errors = []) {
+  if (!schema || typeof schema !== 'object' || errors.length >= MAX_ERRORS) return errors;
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(s => validateValue(value, s, path));
+    if (!branches.some(b => !b.length)) errors.push(`${path}: does not match any of the allowed schemas`);
+  }
+
+  const types = typesOf(schema);
+  if (value === null && (schema.nullable || types.includes('null'))) return errors;
+  if (types.length && !types.some(t => typeMatches(value, t))) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${describe(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: ${value} is below the minimum ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: ${value} is above the maximum ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: ${value.length} item(s), at least ${schema.minItems} required`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: ${value.length} item(s), at most ${schema.maxItems} allowed`);
+    if (schema.items) value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+  }
+  if (typeMatches(value, 'object')) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (properties[key]) validateValue(v, properties[key], `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${key}"`);
+    }
+  }
+  return errors.slice(0, MAX_ERRORS);
+}
+
+// { valid, errors } for one model response; code fences are stripped as for JSON scoring.
+export function validateOutput(text, schema) {
+  const parsed = parseJsonOutput(text);
+  if (!parsed.ok) return { valid: false, errors: [`Not valid JSON: ${parsed.error}`] };
+  const errors = validateValue(parsed.value, schema);
+  return { valid: !errors.length, errors };
+}
+
+// Share of validated runs that matched the schema, plus the most frequent error messages.
+export function summarizeValidation(results, limit = 5) {
+  const checked = results.filter(r => r.validation);
+  if (!checked.length) return null;
+  const counts = new Map();
+  checked.forEach(r => r.validation.errors.forEach(e => counts.set(e, (counts.get(e) || 0) + 1)));
+  const valid = checked.filter(r => r.validation.valid).length;
+  return {
+    checked: checked.length,
+    valid,
+    validRate: valid / checked.length,
+    topErrors: [...counts].map(([message, count]) => ({ message, count })).sort((a, b) => b.count - a.count).slice(0, limit),
+  };
+}
@@ -0,0 +1,71 @@
+// Latency and reliability statistics for one test: latency percentiles and spread, retries, and
+// success / exact-match rates with 95% Wilson score intervals (which stay sensible for small N
+// and rates near 0 or 1, unlike the normal approximation).
+import { percentile } from './utils.js';
+import { computeMetrics, scoredRuns } from './metrics.js';
+import { countRetries } from './retry.js';
+
+const Z_95 = 1.96;
+
+export function wilsonInterval(successes, n, z = Z_95) {
+  if (!n) return null;
+  const p = successes / n;
+  const z2 = z * z;
+  const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+  const half = (z / (1 + z2 / n)) * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n));
+  return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+}
+
+export function describeLatency(values) {
+  const xs = values.filter(Number.isFinite);
+  if (!xs.length) return null;
+  const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+  // Sample standard deviation; a single run has no spread.
+  const variance = xs.length > 1 ? xs.reduce((s, x) => s + (x - mean) ** 2, 0) / (xs.length - 1) : 0;
+  return {
+    count: xs.length,
+    mean,
+    stddev: Math.sqrt(variance),
+    min: Math.min(...xs),
+    p50: percentile(xs, 50),
+    p90: percentile(xs, 90),
+    p95: percentile(xs, 95),
+    max: Math.max(...xs),
+  };
+}
+
+// Equal-width bins from min to max; √n bins (at most `maxBins`) keeps small tests readable.
+export function histogram(values, maxBins = 12) {
+  const xs = values.filter(Number.isFinite);
+  if (!xs.length) return [];
+  const min = Math.min(...xs), max = Math.max(...xs);
+  const count = min === max ? 1 : Math.min(maxBins, Math.max(2, Math.ceil(Math.sqrt(xs.length))));
+  const width = (max - min) / count || 1;
+  const bins = Array.from({ length: count }, (_, i) => ({ from: min + i * width, to: i === count - 1 ? max : min + (i + 1) * width, count: 0 }));
+  xs.forEach(x => bins[Math.min(count - 1, Math.floor((x - min) / width))].count++);
+  return bins;
+}
+
+export function computeStats(results, options = {}) {
+  const done = results.filter(r => !r.cancelled);
+  const ok = done.filter(r => r.ok);
+  const scored = scoredRuns(results, options);
+  const exactCount = scored.length ? Math.round(computeMetrics(scored.map(r => r.text)).exactRate * scored.length) : 0;
+  const retries = done.map(r => countRetries(r.attempts));
+  return {
+    runs: done.length,
+    successes: ok.length,
+    successRate: done.length ? ok.length / done.length : null,
+    successInterval: wilsonInterval(ok.length, done.length),
+    scored: scored.length,
+    exactRate: scored.length ? exactCount / scored.length : null,
+    exactInterval: wilsonInterval(exactCount, scored.length),
+    latency: describeLatency(ok.map(r => r.latency)),
+    ttft: describeLatency(ok.map(r => r.ttft)),
+    retries: {
+      total: retries.reduce((a, b) => a + b, 0),
+      runs: retries.filter(n => n > 0).length,
+      max: retries.length ? Math.max(...retries) : 0,
+    },
+  };
+}
@@ -0,0 +1,24 @@
+export const MAX_SWEEP_CELLS = 64;
+
+export function parseList(s) {
+  return [...new Set(String(s || '').split(',').map(v => v.trim()).filter(Boolean))];
+}
+
+export function parseNumberList(s) {
+  return [...new Set(parseList(s).map(Number).filter(Number.isFinite))];
+}
+
+// Cartesian product of every parameter list, in model → temperature → topP → thinking budget order.
+export function buildCombinations({ models, temperatures, topPs, thinkingBudgets }) {
+  const combos = [];
+  for (const model of models) {
+    for (const temperature of temperatures) {
+      for (const topP of topPs) {
+        for (const thinkingBudget of thinkingBudgets) {
+          combos.push({ model, temperature, topP, thinkingBudget });
+        }
+      }
+    }
+  }
+  return combos;
+}
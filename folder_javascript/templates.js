@@ -0,0 +1,85 @@
+// Prompt templates: the bundled ones from templates.json plus user templates stored in IndexedDB.
+// Every save adds a version; bundled templates start at version 1 and edits to them are stored
+// under the same id, so deleting the stored copy reverts to the bundled prompt. A version may
+// carry a response schema (or null) that is loaded into the schema editor with the prompt.
+
+const VARIABLE = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+const PACK_FORMAT = 'gemini-consistency-templates';
+
+export function extractVariables(prompt) {
+  return [...new Set([...prompt.matchAll(VARIABLE)].map(m => m[1]))];
+}
+
+export function renderTemplate(prompt, values) {
+  return prompt.replace(VARIABLE, (match, name) => values[name] ?? match);
+}
+
+export const bundledId = name => `bundled:${name}`;
+
+export function fromBundled({ name, prompt, schema = null }) {
+  return { id: bundledId(name), name, prompt, schema, bundled: true, version: 1, versions: [{ version: 1, name, prompt, schema, savedAt: null }] };
+}
+
+export function mergeTemplates(bundled, stored) {
+  const storedById = new Map(stored.map(t => [t.id, t]));
+  const bundledIds = new Set(bundled.map(t => t.id));
+  const own = stored.filter(t => !bundledIds.has(t.id)).sort((a, b) => a.name.localeCompare(b.name));
+  return [...bundled.map(t => storedById.get(t.id) || t), ...own];
+}
+
+export function createTemplate(name, prompt, schema = null) {
+  const now = new Date().toISOString();
+  return { id: `user:${crypto.randomUUID()}`, name, prompt, schema, bundled: false, version: 1, versions: [{ version: 1, name, prompt, schema, savedAt: now }], createdAt: now, updatedAt: now };
+}
+
+export function addVersion(template, { name, prompt, schema = null }) {
+  const now = new Date().toISOString();
+  const version = template.version + 1;
+  return { ...template, name, prompt, schema, version, versions: [...template.versions, { version, name, prompt, schema, savedAt: now }], updatedAt: now };
+}
+
+export const sameSchema = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export const getVersion = (template, version) => template.versions.find(v => v.version === version) || template.versions[template.versions.length - 1];
+
+// What gets recorded with results: which template and version, and whether the prompt was edited before running.
+export function templateRef(template, version, prompt, variables = {}) {
+  const v = getVersion(template, version);
+  return { id: template.id, name: v.name, version: v.version, modified: prompt.trim() !== v.prompt.trim(), variables };
+}
+
+export function buildPack(templates) {
+  return {
+    format: PACK_FORMAT,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(({ id, name, prompt, schema, bundled, version, versions }) => ({ id, name, prompt, schema: schema ?? null, bundled, version, versions })),
+  };
+}
+
+// Accepts an exported pack or a templates.json-style array of { name, prompt, schema? }.
+export function parsePack(text, fileName) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${fileName}: not valid JSON (${e.message})`);
+  }
+  const list = Array.isArray(data) ? data : data?.templates;
+  if (!Array.isArray(list)) throw new Error(`${fileName}: not a template pack (missing "templates")`);
+  list.forEach((t, i) => {
+    if (typeof t?.name !== 'string' || typeof t?.prompt !== 'string') throw new Error(`${fileName}: template #${i + 1} needs a "name" and a "prompt"`);
+    if (t.schema != null && (typeof t.schema !== 'object' || Array.isArray(t.schema))) throw new Error(`${fileName}: template "${t.name}" has a schema that is not an object`);
+  });
+  return list;
+}
+
+// Returns the template to store for an imported one, or null when nothing changed. A template
+// that already exists gets the imported prompt as a new version so neither history is lost.
+export function importTemplate(existing, incoming) {
+  if (!existing) {
+    if (!incoming.id || !Array.isArray(incoming.versions) || !incoming.versions.length) return createTemplate(incoming.name, incoming.prompt, incoming.schema ?? null);
+    return { ...incoming, bundled: Boolean(incoming.bundled), version: incoming.versions[incoming.versions.length - 1].version };
+  }
+  if (existing.prompt === incoming.prompt && existing.name === incoming.name && sameSchema(existing.schema, incoming.schema)) return null;
+  return addVersion(existing, incoming);
+}
@@ -1,27 +1,152 @@
-import { formatBytes, truncate, formatDuration, formatShortTime } from './utils.js';
+import { formatBytes, truncate, formatDuration, formatShortTime, formatCost } from './utils.js';
+import { SAFETY_CATEGORIES, SAFETY_THRESHOLDS, DEFAULT_SAFETY_SETTINGS } from './providers.js';
+import { ERROR_CATEGORIES } from './retry.js';
+import { histogram } from './stats.js';
+import { latencyByRunSvg, latencyHistogramSvg, clusterBarsSvg } from './charts.js';
 
 const el = id => document.getElementById(id);
 
+export const escapeHtml = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const pct = v => (v * 100).toFixed(1) + '%';
+
 export const elements = {
   apiKeyEl: el('apiKey'),
   modelEl: el('model'),
+  providerEl: el('provider'),
+  mockConfigWrapEl: el('mockConfigWrap'),
+  mockConfigEl: el('mockConfig'),
+  mockResetBtn: el('mockResetBtn'),
+  networkModeEl: el('networkMode'),
+  replayLatencyEl: el('replayLatency'),
+  recordingsClearBtn: el('recordingsClearBtn'),
+  recordingsStatus: el('recordingsStatus'),
+  customModelEl: el('customModel'),
   runsEl: el('runs'),
   promptEl: el('prompt'),
   imagesEl: el('images'),
+  pdfPagesEl: el('pdfPages'),
+  pdfContentEl: el('pdfContent'),
+  pdfScaleEl: el('pdfScale'),
+  pdfFormatEl: el('pdfFormat'),
+  pdfQualityEl: el('pdfQuality'),
+  compressUploadsEl: el('compressUploads'),
   runBtn: el('runBtn'),
   cancelBtn: el('cancelBtn'),
   exportBtn: el('exportBtn'),
+  statsMetricsEl: el('statsMetrics'),
+  statsSuccess: el('statsSuccess'),
+  statsSuccessCi: el('statsSuccessCi'),
+  statsExactCi: el('statsExactCi'),
+  statsRetries: el('statsRetries'),
+  statsRetriesNote: el('statsRetriesNote'),
+  statsP50: el('statsP50'),
+  statsP90: el('statsP90'),
+  statsP95: el('statsP95'),
+  statsMax: el('statsMax'),
+  statsMean: el('statsMean'),
+  chartLatencyRuns: el('chartLatencyRuns'),
+  chartLatencyHistogram: el('chartLatencyHistogram'),
+  chartClusters: el('chartClusters'),
+  reportHtmlBtn: el('reportHtmlBtn'),
+  reportMarkdownBtn: el('reportMarkdownBtn'),
+  reportCsvBtn: el('reportCsvBtn'),
+  reportThumbnailsEl: el('reportThumbnails'),
+  importBtn: el('importBtn'),
+  importFileEl: el('importFile'),
+  importAppendEl: el('importAppend'),
   statusText: el('statusText'),
   progressBar: el('progressBar'),
   rateExact: el('rateExact'),
   rateJaccard: el('rateJaccard'),
   majorityText: el('majorityText'),
+  scoringModeEl: el('scoringMode'),
+  rateEdit: el('rateEdit'),
+  rateNgram: el('rateNgram'),
+  answerEntropy: el('answerEntropy'),
+  clusterCount: el('clusterCount'),
+  clusterThresholdEl: el('clusterThreshold'),
+  clusterTableBody: document.querySelector('#clusterTable tbody'),
+  turnMetricsEl: el('turnMetrics'),
+  turnTableBody: document.querySelector('#turnTable tbody'),
+  jsonMetricsEl: el('jsonMetrics'),
+  rateJsonParse: el('rateJsonParse'),
+  rateJsonFields: el('rateJsonFields'),
+  rateJsonRowCount: el('rateJsonRowCount'),
+  fieldAgreementBody: document.querySelector('#fieldAgreementTable tbody'),
+  rowAgreementEl: el('rowAgreement'),
+  expectedOutputEl: el('expectedOutput'),
+  expectedFileEl: el('expectedFile'),
+  numericToleranceEl: el('numericTolerance'),
+  responseSchemaEl: el('responseSchema'),
+  enforceSchemaEl: el('enforceSchema'),
+  schemaFormatBtn: el('schemaFormatBtn'),
+  schemaCompareBtn: el('schemaCompareBtn'),
+  schemaStatusEl: el('schemaStatus'),
+  schemaMetricsEl: el('schemaMetrics'),
+  rateSchemaValid: el('rateSchemaValid'),
+  schemaErrorsEl: el('schemaErrors'),
+  excludeFlaggedEl: el('excludeFlagged'),
+  finishReasonMetricsEl: el('finishReasonMetrics'),
+  finishReasonsEl: el('finishReasons'),
+  flaggedNoteEl: el('flaggedNote'),
+  errorMetricsEl: el('errorMetrics'),
+  errorCategoriesEl: el('errorCategories'),
+  errorNoteEl: el('errorNote'),
+  usageMetricsEl: el('usageMetrics'),
+  usageAvgTokens: el('usageAvgTokens'),
+  usageBreakdown: el('usageBreakdown'),
+  usageTotalTokens: el('usageTotalTokens'),
+  costPerRun: el('costPerRun'),
+  costTotal: el('costTotal'),
+  costNote: el('costNote'),
+  priceTableBody: document.querySelector('#priceTable tbody'),
+  priceAddBtn: el('priceAddBtn'),
+  priceResetBtn: el('priceResetBtn'),
+  accuracyMetricsEl: el('accuracyMetrics'),
+  accuracyExact: el('accuracyExact'),
+  accuracySimilarity: el('accuracySimilarity'),
+  accuracyF1: el('accuracyF1'),
+  fieldAccuracyBody: document.querySelector('#fieldAccuracyTable tbody'),
   resultsTableBody: document.querySelector('#resultsTable tbody'),
   delayMsEl: el('delayMs'),
+  concurrencyEl: el('concurrency'),
+  rpmLimitEl: el('rpmLimit'),
+  retryMaxAttemptsEl: el('retryMaxAttempts'),
+  retryStatusesEl: el('retryStatuses'),
+  retryBaseDelayEl: el('retryBaseDelay'),
+  retryMaxDelayEl: el('retryMaxDelay'),
+  retryJitterEl: el('retryJitter'),
+  retryTimeoutsEl: el('retryTimeouts'),
+  retryNetworkEl: el('retryNetwork'),
+  retryHonorAfterEl: el('retryHonorAfter'),
   temperatureEl: el('temperature'),
   topPEl: el('topP'),
+  topKEl: el('topK'),
+  maxOutputTokensEl: el('maxOutputTokens'),
+  seedEl: el('seed'),
+  candidateCountEl: el('candidateCount'),
+  stopSequencesEl: el('stopSequences'),
+  systemInstructionEl: el('systemInstruction'),
+  conversationEnabledEl: el('conversationEnabled'),
+  conversationWrapEl: el('conversationWrap'),
+  conversationScriptEl: el('conversationScript'),
+  conversationOwnAnswersEl: el('conversationOwnAnswers'),
+  conversationPerTurnEl: el('conversationPerTurn'),
+  safetySettingsEl: el('safetySettings'),
   templateSelectorEl: el('templateSelector'),
+  templateVersionEl: el('templateVersion'),
+  templateNameEl: el('templateName'),
+  templateVariablesEl: el('templateVariables'),
+  templateNewBtn: el('templateNewBtn'),
+  templateSaveBtn: el('templateSaveBtn'),
+  templateDuplicateBtn: el('templateDuplicateBtn'),
+  templateDeleteBtn: el('templateDeleteBtn'),
+  templateExportBtn: el('templateExportBtn'),
+  templateImportBtn: el('templateImportBtn'),
+  templateImportFileEl: el('templateImportFile'),
   timeoutMsEl: el('timeoutMs'),
+  streamEl: el('stream'),
+  baseUrlEl: el('baseUrl'),
   temperatureVal: el('temperatureVal'),
   topPVal: el('topPVal'),
   // New thinking budget controls
@@ -31,30 +156,123 @@ export const elements = {
   modalContent: el('modalContent'),
   modalTitle: el('modalTitle'),
   modalCloseBtn: el('modalCloseBtn'),
+  diffToolbarEl: el('diffToolbar'),
+  diffModeEl: el('diffMode'),
+  diffSelectedBtn: el('diffSelectedBtn'),
   imagePreviewContainer: el('imagePreviewContainer'),
+  sweepModelsEl: el('sweepModels'),
+  sweepTemperaturesEl: el('sweepTemperatures'),
+  sweepTopPsEl: el('sweepTopPs'),
+  sweepThinkingBudgetsEl: el('sweepThinkingBudgets'),
+  sweepRunBtn: el('sweepRunBtn'),
+  sweepExportBtn: el('sweepExportBtn'),
+  sweepTableBody: document.querySelector('#sweepTable tbody'),
+  compareModelsEl: el('compareModels'),
+  compareRunBtn: el('compareRunBtn'),
+  comparisonEl: el('comparison'),
+  compareDiffAEl: el('compareDiffA'),
+  compareDiffBEl: el('compareDiffB'),
+  compareDiffEl: el('compareDiff'),
+  batchFilesEl: el('batchFiles'),
+  batchFolderEl: el('batchFolder'),
+  batchThresholdEl: el('batchThreshold'),
+  batchInfoEl: el('batchInfo'),
+  batchRunBtn: el('batchRunBtn'),
+  batchExportBtn: el('batchExportBtn'),
+  batchMean: el('batchMean'),
+  batchWorst: el('batchWorst'),
+  batchWorstName: el('batchWorstName'),
+  batchFailing: el('batchFailing'),
+  batchAccuracy: el('batchAccuracy'),
+  batchTableBody: document.querySelector('#batchTable tbody'),
+  historySearchEl: el('historySearch'),
+  historyTableBody: document.querySelector('#historyTable tbody'),
+  historyCompareBtn: el('historyCompareBtn'),
+  historyCompareEl: el('historyCompare'),
 };
 
-export function renderRow(idx, status, result) {
+function accuracyBadge(accuracy) {
+  if (!accuracy) return '–';
+  const score = accuracy.exact ? 1 : (accuracy.fields ? accuracy.fields.f1 : accuracy.similarity);
+  const cls = score >= 0.999 ? 'ok' : score >= 0.5 ? 'warn' : 'err';
+  const label = accuracy.exact ? 'exact' : `${accuracy.fields ? 'F1' : 'sim'} ${pct(score)}`;
+  return `<span class="badge ${cls}">${label}</span>`;
+}
+
+const tokensCell = usage => usage
+  ? `${usage.totalTokens.toLocaleString()}<div class="muted" title="Prompt · output · thinking tokens">${usage.promptTokens} · ${usage.outputTokens} · ${usage.thinkingTokens}</div>`
+  : '–';
+
+export function renderRow(idx, status, result, cost = null) {
   const tr = document.createElement('tr');
   const text = result.text || result.error || '';
+  tr.dataset.resultIndex = idx - 1;
   
   tr.innerHTML = `
+    <td><input type="checkbox" class="run-select" data-result-index="${idx - 1}" title="Select for diff" /></td>
     <td class="mono">${idx}</td>
-    <td>${status}</td>
+    <td>${status} <span class="badge majority-mark" style="display:none;">= majority</span></td>
     <td class="mono">${result.startTime ? formatShortTime(result.startTime) : '–'}</td>
-    <td class="mono">${result.latency != null ? formatDuration(result.latency) : '–'}</td>
+    <td class="mono">${result.latency != null ? formatDuration(result.latency) : '–'}${result.ttft != null ? `<div class="muted" title="Time to first token">TTFT ${formatDuration(result.ttft)}</div>` : ''}</td>
     <td class="mono">${result.attempts?.length || 0}</td>
+    <td class="mono">${tokensCell(result.usage)}</td>
+    <td class="mono">${formatCost(cost)}</td>
+    <td>${accuracyBadge(result.accuracy)}</td>
     <td class="mono">
       <span class="output-link" data-full-text="${encodeURIComponent(text)}">${truncate(text)}</span>
     </td>
     <td>
       <button class="btn ghost details-btn" data-result-index="${idx - 1}" style="padding: 4px 8px; font-size: 12px;">Details</button>
+      <button class="btn ghost diff-btn" data-result-index="${idx - 1}" style="padding: 4px 8px; font-size: 12px;" title="Diff against the majority response">Diff</button>
     </td>
   `;
-  elements.resultsTableBody.appendChild(tr);
+  placeRow(tr, idx);
   tr.scrollIntoView({ block: 'nearest' });
 }
 
+// Rows stay in run order; a row for the same run (e.g. a live streaming row) is replaced.
+function placeRow(tr, idx) {
+  const rows = [...elements.resultsTableBody.children];
+  const existing = rows.find(r => r.dataset.resultIndex === String(idx - 1));
+  if (existing) {
+    existing.replaceWith(tr);
+    return;
+  }
+  const next = rows.find(r => parseInt(r.dataset.resultIndex, 10) > idx - 1);
+  elements.resultsTableBody.insertBefore(tr, next || null);
+}
+
+export function renderLiveRow(idx, partialText) {
+  let tr = elements.resultsTableBody.querySelector(`tr[data-result-index="${idx - 1}"][data-live]`);
+  if (!tr) {
+    tr = document.createElement('tr');
+    tr.dataset.resultIndex = idx - 1;
+    tr.dataset.live = '1';
+    tr.innerHTML = `
+      <td></td>
+      <td class="mono">${idx}</td>
+      <td><span class="badge warn">streaming…</span></td>
+      <td class="mono">–</td>
+      <td class="mono">–</td>
+      <td class="mono">–</td>
+      <td class="mono">–</td>
+      <td class="mono">–</td>
+      <td>–</td>
+      <td class="mono live-text"></td>
+      <td></td>
+    `;
+    placeRow(tr, idx);
+  }
+  tr.querySelector('.live-text').textContent = truncate(partialText);
+}
+
+export function markMajorityRows(flags) {
+  elements.resultsTableBody.querySelectorAll('tr[data-result-index]').forEach(tr => {
+    const mark = tr.querySelector('.majority-mark');
+    if (mark) mark.style.display = flags[parseInt(tr.dataset.resultIndex, 10)] ? 'inline-block' : 'none';
+  });
+}
+
 export function updateProgress(done, total) {
   const pct = total ? Math.round((done / total) * 100) : 0;
   elements.progressBar.style.width = pct + '%';
@@ -66,32 +284,250 @@ export function resetUIState() {
   elements.rateExact.textContent = '–';
   elements.rateJaccard.textContent = '–';
   elements.majorityText.textContent = '–';
+  elements.rateEdit.textContent = '–';
+  elements.rateNgram.textContent = '–';
+  elements.answerEntropy.textContent = '–';
   elements.resultsTableBody.innerHTML = '';
+  renderClusters([], []);
+  renderTurnMetrics(null);
+  renderJsonMetrics(null);
+  renderAccuracy(null);
+  renderUsage(null);
+  renderFinishReasons([], 0, false);
+  renderSchemaValidity(null);
+  renderErrorCategories([]);
+  renderStats(null);
+  setExportsDisabled(true);
+}
+
+// The JSON export and the reports describe the last single-model test only.
+export function setExportsDisabled(disabled) {
+  [elements.exportBtn, elements.reportHtmlBtn, elements.reportMarkdownBtn, elements.reportCsvBtn].forEach((btn) => { btn.disabled = disabled; });
+}
+
+export function renderFinishReasons(reasons, flagged, excluded) {
+  elements.finishReasonMetricsEl.style.display = reasons.length ? 'block' : 'none';
+  elements.finishReasonsEl.innerHTML = reasons.map(({ reason, count }) => `
+    <span class="badge ${/^stop$/i.test(reason) ? 'ok' : 'warn'} mono">${escapeHtml(reason)} × ${count}</span>
+  `).join('');
+  elements.flaggedNoteEl.textContent = flagged
+    ? `${flagged} truncated, blocked or empty response(s) ${excluded ? 'excluded from' : 'included in'} the metrics.`
+    : '';
+}
+
+export const errorLabel = category => ERROR_CATEGORIES[category] || ERROR_CATEGORIES.other;
+
+export function renderErrorCategories(categories) {
+  elements.errorMetricsEl.style.display = categories.length ? 'block' : 'none';
+  elements.errorCategoriesEl.innerHTML = categories.map(({ category, count, infrastructure }) => `
+    <span class="badge ${infrastructure ? 'warn' : 'err'} mono" title="${infrastructure ? 'Infrastructure' : 'Request or configuration'}">${errorLabel(category)} × ${count}</span>
+  `).join('');
+  const total = categories.reduce((sum, c) => sum + c.count, 0);
+  const infrastructure = categories.filter(c => c.infrastructure).reduce((sum, c) => sum + c.count, 0);
+  elements.errorNoteEl.textContent = total ? `${infrastructure} of ${total} failed run(s) are infrastructure errors (timeouts, rate limits, quota, server or network).` : '';
+}
+
+export function renderSchemaValidity(validation) {
+  elements.schemaMetricsEl.style.display = validation ? 'block' : 'none';
+  if (!validation) return;
+  elements.rateSchemaValid.textContent = pct(validation.validRate);
+  elements.rateSchemaValid.title = `${validation.valid}/${validation.checked} validated runs`;
+  elements.schemaErrorsEl.innerHTML = validation.topErrors.map(e => `<li>${escapeHtml(e.message)} <span class="muted">× ${e.count}</span></li>`).join('');
+}
+
+export function renderUsage(usage) {
+  elements.usageMetricsEl.style.display = usage ? 'block' : 'none';
+  if (!usage) return;
+  const round = v => Math.round(v).toLocaleString();
+  elements.usageAvgTokens.textContent = round(usage.avgTotalTokens);
+  elements.usageBreakdown.textContent = `prompt ${round(usage.avgPromptTokens)} · output ${round(usage.avgOutputTokens)} · thinking ${round(usage.avgThinkingTokens)}`;
+  elements.usageTotalTokens.textContent = usage.totalTokens.toLocaleString();
+  elements.costPerRun.textContent = formatCost(usage.avgCost);
+  elements.costTotal.textContent = formatCost(usage.cost);
+  elements.costNote.textContent = usage.unpricedRuns ? `${usage.unpricedRuns} run(s) have no price for their model` : '';
 }
 
+const interval = i => i ? `${pct(i.low)} – ${pct(i.high)}` : '–';
+
+export function renderStats(stats, results = []) {
+  elements.statsMetricsEl.style.display = stats && stats.runs ? 'block' : 'none';
+  if (!stats || !stats.runs) return;
+  const { latency, retries } = stats;
+  const ms = v => formatDuration(Math.round(v));
+  elements.statsSuccess.textContent = pct(stats.successRate);
+  elements.statsSuccessCi.textContent = `${stats.successes}/${stats.runs} · 95% CI ${interval(stats.successInterval)}`;
+  elements.statsExactCi.textContent = stats.exactRate === null ? '–' : interval(stats.exactInterval);
+  elements.statsRetries.textContent = String(retries.total);
+  elements.statsRetriesNote.textContent = retries.total ? `${retries.runs} run(s) retried, at most ${retries.max} time(s)` : '';
+  elements.statsP50.textContent = latency ? ms(latency.p50) : '–';
+  elements.statsP90.textContent = latency ? ms(latency.p90) : '–';
+  elements.statsP95.textContent = latency ? ms(latency.p95) : '–';
+  elements.statsMax.textContent = latency ? ms(latency.max) : '–';
+  elements.statsMean.textContent = latency ? `${ms(latency.mean)} ± ${ms(latency.stddev)}` : '–';
+  elements.chartLatencyRuns.innerHTML = latencyByRunSvg(results, 360, 160);
+  elements.chartLatencyHistogram.innerHTML = latencyHistogramSvg(histogram(results.filter(r => r.ok).map(r => r.latency)), 360, 160);
+}
+
+const priceRowHtml = (model, price) => `
+  <tr>
+    <td><input type="text" class="price-model mono" value="${escapeHtml(model)}" /></td>
+    <td><input type="text" class="price-input" value="${price.input}" /></td>
+    <td><input type="text" class="price-output" value="${price.output}" /></td>
+    <td><button class="btn ghost price-remove" style="padding: 4px 8px; font-size: 12px;">Remove</button></td>
+  </tr>
+`;
+
+export function renderPriceTable(prices) {
+  elements.priceTableBody.innerHTML = Object.entries(prices).map(([model, price]) => priceRowHtml(model, price)).join('');
+}
+
+export function addPriceRow() {
+  elements.priceTableBody.insertAdjacentHTML('beforeend', priceRowHtml('', { input: 0, output: 0 }));
+}
+
+export function readPriceTable() {
+  const prices = {};
+  elements.priceTableBody.querySelectorAll('tr').forEach(tr => {
+    const model = tr.querySelector('.price-model').value.trim();
+    if (!model) return;
+    prices[model] = {
+      input: Math.max(0, parseFloat(tr.querySelector('.price-input').value) || 0),
+      output: Math.max(0, parseFloat(tr.querySelector('.price-output').value) || 0),
+    };
+  });
+  return prices;
+}
+
+export function renderClusters(clusters, runNumbers) {
+  elements.clusterCount.textContent = clusters.length ? String(clusters.length) : '–';
+  elements.chartClusters.innerHTML = clusters.length > 1 ? clusterBarsSvg(clusters) : '';
+  elements.clusterTableBody.innerHTML = '';
+  clusters.forEach((c, i) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="mono">${i + 1}</td>
+      <td class="mono">${c.size}${c.variants > 1 ? ` <span class="muted">(${c.variants} variants)</span>` : ''}</td>
+      <td class="mono">${pct(c.share)}</td>
+      <td class="mono">${c.members.map(m => runNumbers[m]).join(', ')}</td>
+      <td class="mono"><span class="output-link" data-full-text="${encodeURIComponent(c.representative)}">${escapeHtml(truncate(c.representative, 120))}</span></td>
+    `;
+    elements.clusterTableBody.appendChild(tr);
+  });
+}
+
+export function renderTurnMetrics(turns) {
+  elements.turnMetricsEl.style.display = turns?.length ? 'block' : 'none';
+  elements.turnTableBody.innerHTML = (turns || []).map(t => `
+    <tr>
+      <td class="mono">${t.turn}</td>
+      <td class="mono"><span class="output-link" data-full-text="${encodeURIComponent(t.user)}">${escapeHtml(truncate(t.user, 60))}</span></td>
+      <td class="mono">${t.scored}</td>
+      <td class="mono">${pctOrDash(t.exactRate)}</td>
+      <td class="mono">${pctOrDash(t.avgJaccard)}</td>
+      <td class="mono">${pctOrDash(t.avgEditSimilarity)}</td>
+      <td class="mono"><span class="output-link" data-full-text="${encodeURIComponent(t.majorityNormalized)}">${escapeHtml(truncate(t.majorityNormalized || '–', 80))}</span></td>
+    </tr>
+  `).join('');
+}
+
+export function renderAccuracy(accuracy) {
+  elements.accuracyMetricsEl.style.display = accuracy ? 'block' : 'none';
+  elements.fieldAccuracyBody.innerHTML = '';
+  if (!accuracy) return;
+
+  elements.accuracyExact.textContent = pct(accuracy.exactRate);
+  elements.accuracySimilarity.textContent = pct(accuracy.avgSimilarity);
+  elements.accuracyF1.textContent = accuracy.avgF1 === null ? '–' : pct(accuracy.avgF1);
+
+  accuracy.fields.forEach(f => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="mono">${escapeHtml(f.key)}</td>
+      <td class="mono">${pct(f.precision)}</td>
+      <td class="mono">${pct(f.recall)}</td>
+      <td class="mono">${pct(f.f1)}</td>
+    `;
+    elements.fieldAccuracyBody.appendChild(tr);
+  });
+}
+
+export function renderJsonMetrics(metrics) {
+  elements.jsonMetricsEl.style.display = metrics ? 'block' : 'none';
+  elements.fieldAgreementBody.innerHTML = '';
+  elements.rowAgreementEl.innerHTML = '';
+  if (!metrics) return;
+
+  elements.rateJsonParse.textContent = pct(metrics.parseRate);
+  elements.rateJsonFields.textContent = metrics.parsedCount ? pct(metrics.fieldAgreement) : '–';
+  elements.rateJsonRowCount.textContent = metrics.parsedCount ? pct(metrics.rowCountAgreement) : '–';
+
+  metrics.fields.forEach(f => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="mono">${escapeHtml(f.key)}</td>
+      <td class="mono">${pct(f.agreement)}</td>
+      <td class="mono">${f.rows}</td>
+    `;
+    elements.fieldAgreementBody.appendChild(tr);
+  });
+
+  metrics.rows.forEach(r => {
+    const span = document.createElement('span');
+    span.className = `badge ${r.agreement === 1 ? 'ok' : r.agreement >= 0.5 ? 'warn' : 'err'}`;
+    span.textContent = `#${r.index} ${pct(r.agreement)}`;
+    span.title = `Row present in ${r.present} of ${metrics.parsedCount} parsed runs`;
+    elements.rowAgreementEl.appendChild(span);
+  });
+}
+
+const previewLabel = (file) => {
+  const pages = file.page ? `p${file.page}` : file.pages ? `${file.pages.length} p.` : '';
+  const size = file.compressed ? `${formatBytes(file.size)} ✓ (was ${formatBytes(file.originalSize)})` : formatBytes(file.size);
+  return [pages, size].filter(Boolean).join(' · ');
+};
+
+const previewTitle = file => file.compressed
+  ? `${file.name}: JPEG quality ${file.quality.toFixed(2)} at ${Math.round(file.scale * 100)}% size`
+  : file.name;
+
+// Object URLs of the thumbnails on screen, released whenever the previews are redrawn.
+let previewUrls = [];
+
 export function renderPreviews(uploadedFiles) {
+  previewUrls.forEach(url => URL.revokeObjectURL(url));
+  previewUrls = [];
   elements.imagePreviewContainer.innerHTML = '';
   uploadedFiles.forEach((file, index) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const div = document.createElement('div');
-      div.className = 'img-preview';
-      div.innerHTML = `
-        <img src="${e.target.result}" alt="${file.name}" data-index="${index}" class="preview-image-clickable" />
-        <div class="info">${formatBytes(file.size)} ${file.compressed ? '✓' : ''}</div>
-        <button class="delete-btn" data-index="${index}">&times;</button>
-      `;
-      elements.imagePreviewContainer.appendChild(div);
-    };
-    reader.readAsDataURL(file);
+    const div = document.createElement('div');
+    div.className = 'img-preview';
+    const isImage = file.type.startsWith('image/');
+    div.innerHTML = `
+      ${isImage
+        ? `<img alt="${escapeHtml(file.name)}" data-index="${index}" class="preview-image-clickable" />`
+        : `<div class="preview-image-clickable preview-doc mono" data-index="${index}" title="${escapeHtml(file.name)}">${file.type === 'text/plain' ? 'TXT' : 'PDF'}</div>`}
+      <div class="info" title="${escapeHtml(previewTitle(file))}">${previewLabel(file)}</div>
+      <button class="delete-btn" data-index="${index}">&times;</button>
+    `;
+    if (isImage) {
+      const url = URL.createObjectURL(file);
+      previewUrls.push(url);
+      div.querySelector('img').src = url;
+    }
+    elements.imagePreviewContainer.appendChild(div);
   });
 }
 
 export function showModal(content, type = 'text') {
   const pre = elements.modalContent.querySelector('pre');
   const img = elements.modalContent.querySelector('img');
+  elements.diffToolbarEl.style.display = type === 'diff' ? 'flex' : 'none';
 
-  if (type === 'text') {
+  if (type === 'diff') {
+    elements.modalTitle.textContent = 'Diff';
+    pre.innerHTML = content;
+    pre.style.display = 'block';
+    img.style.display = 'none';
+  } else if (type === 'text') {
     elements.modalTitle.textContent = 'Full Output';
     pre.textContent = content;
     pre.style.display = 'block';
@@ -109,23 +545,272 @@ export function hideModal() {
   elements.outputModalOverlay.style.display = 'none';
 }
 
-export async function loadTemplates(templates) {
-  try {
-    const res = await fetch('templates.json');
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const loadedTemplates = await res.json();
-    templates.push(...loadedTemplates);
-    
-    elements.templateSelectorEl.innerHTML = '<option value="">Select a template...</option>';
-    templates.forEach((t, i) => {
-      const opt = document.createElement('option');
-      opt.value = i;
-      opt.textContent = t.name;
-      elements.templateSelectorEl.appendChild(opt);
-    });
-  } catch (e) {
-    console.error('Failed to load templates:', e);
-    elements.templateSelectorEl.innerHTML = '<option value="">Error loading templates</option>';
-    elements.templateSelectorEl.disabled = true;
+// Background tint for a 0..1 score: red (bad) → green (good).
+const heat = v => v === null || Number.isNaN(v) ? '' : `background: hsla(${Math.round(v * 120)}, 70%, 45%, 0.18);`;
+
+export function renderSweep(cells) {
+  elements.sweepTableBody.innerHTML = '';
+  const latencies = cells.map(c => c.summary.avgLatency).filter(v => v !== null);
+  const minL = Math.min(...latencies), maxL = Math.max(...latencies);
+  const latencyScore = v => v === null ? null : (maxL > minL ? 1 - (v - minL) / (maxL - minL) : 1);
+
+  cells.forEach((cell, i) => {
+    const { params: p, summary: s } = cell;
+    const tr = document.createElement('tr');
+    tr.dataset.cellIndex = i;
+    tr.style.cursor = 'pointer';
+    tr.title = 'Show these runs in the results table';
+    tr.innerHTML = `
+      <td class="mono">${escapeHtml(p.model)}</td>
+      <td class="mono">${p.temperature}</td>
+      <td class="mono">${p.topP}</td>
+      <td class="mono">${p.thinkingBudget}</td>
+      <td class="mono" style="${heat(s.exactRate)}">${s.exactRate === null ? '–' : pct(s.exactRate)}</td>
+      <td class="mono" style="${heat(s.avgJaccard)}">${s.avgJaccard === null ? '–' : pct(s.avgJaccard)}</td>
+      <td class="mono" style="${heat(latencyScore(s.avgLatency))}">${s.avgLatency === null ? '–' : formatDuration(Math.round(s.avgLatency))}</td>
+      <td class="mono" style="${heat(s.errorRate === null ? null : 1 - s.errorRate)}">${s.errorRate === null ? '–' : pct(s.errorRate)}</td>
+    `;
+    elements.sweepTableBody.appendChild(tr);
+  });
+}
+
+const safetyLabel = category => category.replace('HARM_CATEGORY_', '').toLowerCase().replace(/_/g, ' ');
+
+export function renderSafetySettings(settings = DEFAULT_SAFETY_SETTINGS) {
+  elements.safetySettingsEl.innerHTML = SAFETY_CATEGORIES.map((category) => {
+    const threshold = settings.find(s => s.category === category)?.threshold || 'BLOCK_NONE';
+    return `
+      <div>
+        <label style="text-transform:capitalize;">${safetyLabel(category)}</label>
+        <select class="safety-threshold" data-category="${category}">
+          ${SAFETY_THRESHOLDS.map(t => `<option value="${t}"${t === threshold ? ' selected' : ''}>${t}</option>`).join('')}
+        </select>
+      </div>
+    `;
+  }).join('');
+}
+
+export function readSafetySettings() {
+  return [...elements.safetySettingsEl.querySelectorAll('.safety-threshold')].map(sel => ({ category: sel.dataset.category, threshold: sel.value }));
+}
+
+export function renderModelCheckboxes() {
+  elements.compareModelsEl.innerHTML = '';
+  [...elements.modelEl.options].forEach(opt => {
+    const label = document.createElement('label');
+    label.className = 'check';
+    label.innerHTML = `<input type="checkbox" value="${escapeHtml(opt.value)}" checked /> ${escapeHtml(opt.textContent)}`;
+    elements.compareModelsEl.appendChild(label);
+  });
+}
+
+const pctOrDash = v => v === null ? '–' : pct(v);
+const durationOrDash = v => v === null ? '–' : formatDuration(Math.round(v));
+
+const COMPARISON_ROWS = [
+  ['Success', s => `${s.successes}/${s.runs}`],
+  ['Errors', s => s.errors],
+  ['Exact Match', s => pctOrDash(s.exactRate)],
+  ['Jaccard', s => pctOrDash(s.avgJaccard)],
+  ['Schema Valid', s => s.schemaValidRate == null ? '–' : pct(s.schemaValidRate)],
+  ['Mean Latency', s => durationOrDash(s.avgLatency)],
+  ['Median Latency', s => durationOrDash(s.medianLatency)],
+  ['Min – Max Latency', s => s.minLatency === null ? '–' : `${formatDuration(s.minLatency)} – ${formatDuration(s.maxLatency)}`],
+];
+
+// Model comparisons are labelled by model; other comparisons (e.g. with / without schema) set a label.
+const entryLabel = e => e.label || e.params.model;
+
+function fillEntrySelect(select, entries, fallback) {
+  const keep = select.options.length === entries.length ? select.value : null;
+  select.innerHTML = entries.map((e, i) => `<option value="${i}">${escapeHtml(entryLabel(e))}</option>`).join('');
+  select.value = keep ?? String(Math.min(fallback, Math.max(0, entries.length - 1)));
+}
+
+export function renderComparison(entries) {
+  fillEntrySelect(elements.compareDiffAEl, entries, 0);
+  fillEntrySelect(elements.compareDiffBEl, entries, 1);
+  if (!entries.length) {
+    elements.comparisonEl.innerHTML = '';
+    return;
+  }
+  const head = entries.map(e => `<th class="mono">${escapeHtml(entryLabel(e))}</th>`).join('');
+  const body = COMPARISON_ROWS.map(([name, fmt]) => `
+    <tr><td>${name}</td>${entries.map(e => `<td class="mono">${fmt(e.summary)}</td>`).join('')}</tr>
+  `).join('');
+  const majorities = entries.map(e => `
+    <td><pre class="mono" style="white-space: pre-wrap; word-break: break-word; max-height:220px; overflow:auto; margin:0;">${escapeHtml(e.summary.majorityText || '–')}</pre></td>
+  `).join('');
+  const buttons = entries.map((e, i) => `
+    <td><button class="btn ghost" data-comparison-index="${i}" style="padding: 4px 8px; font-size: 12px;">Show runs</button></td>
+  `).join('');
+  elements.comparisonEl.innerHTML = `
+    <table>
+      <thead><tr><th>Metric</th>${head}</tr></thead>
+      <tbody>${body}<tr><td>Majority Response</td>${majorities}</tr><tr><td></td>${buttons}</tr></tbody>
+    </table>
+  `;
+}
+
+// Rows without a summary are cases that have not run yet.
+export function renderBatch(rows, aggregate) {
+  elements.batchTableBody.innerHTML = '';
+  rows.forEach((row, i) => {
+    const s = row.summary;
+    const tr = document.createElement('tr');
+    if (s) {
+      tr.dataset.caseIndex = i;
+      tr.style.cursor = 'pointer';
+      tr.title = row.error || 'Show these runs in the results table';
+    }
+    const result = !s ? '<span class="badge">pending</span>' : row.passed ? '<span class="badge ok">pass</span>' : '<span class="badge err">fail</span>';
+    tr.innerHTML = `
+      <td class="mono">${escapeHtml(row.name)}${row.hasExpected ? ' <span class="badge" title="Has its own expected output">expected</span>' : ''}</td>
+      <td class="mono">${row.fileCount}</td>
+      <td class="mono">${s ? `${s.successes}/${s.runs}` : '–'}</td>
+      <td class="mono" style="${s ? heat(s.exactRate) : ''}">${s ? pctOrDash(s.exactRate) : '–'}</td>
+      <td class="mono" style="${s ? heat(s.avgJaccard) : ''}">${s ? pctOrDash(s.avgJaccard) : '–'}</td>
+      <td class="mono" style="${row.accuracy ? heat(row.accuracy.exactRate) : ''}">${row.accuracy ? pct(row.accuracy.exactRate) : '–'}</td>
+      <td class="mono">${s ? durationOrDash(s.avgLatency) : '–'}</td>
+      <td>${result}</td>
+    `;
+    elements.batchTableBody.appendChild(tr);
+  });
+
+  elements.batchMean.textContent = aggregate ? pctOrDash(aggregate.meanExactRate) : '–';
+  elements.batchWorst.textContent = aggregate?.worst ? pct(aggregate.worst.exactRate) : '–';
+  elements.batchWorstName.textContent = aggregate?.worst ? aggregate.worst.name : '';
+  elements.batchFailing.textContent = aggregate ? `${aggregate.failing.length}/${aggregate.cases}` : '–';
+  elements.batchFailing.title = aggregate ? aggregate.failing.join('\n') : '';
+  elements.batchAccuracy.textContent = aggregate ? pctOrDash(aggregate.meanAccuracy) : '–';
+}
+
+export function diffHtml(ops) {
+  return ops.map(op => {
+    const text = escapeHtml(op.value);
+    if (op.type === 'insert') return `<ins class="diff-ins">${text}</ins>`;
+    if (op.type === 'delete') return `<del class="diff-del">${text}</del>`;
+    return text;
+  }).join('');
+}
+
+export function jsonDiffHtml(changes) {
+  return changes.map(c => {
+    const path = escapeHtml(c.path);
+    if (c.type === 'added') return `${path}: <ins class="diff-ins">${escapeHtml(c.b)}</ins> (added)`;
+    if (c.type === 'removed') return `${path}: <del class="diff-del">${escapeHtml(c.a)}</del> (removed)`;
+    return `${path}: <del class="diff-del">${escapeHtml(c.a)}</del> → <ins class="diff-ins">${escapeHtml(c.b)}</ins>`;
+  }).join('\n');
+}
+
+export function renderDiff(container, ops) {
+  if (!ops) {
+    container.textContent = '–';
+    return;
   }
+  container.innerHTML = diffHtml(ops);
+}
+
+export function renderHistory(entries, query) {
+  const q = (query || '').trim().toLowerCase();
+  const matches = entries.filter(e => !q ||
+    e.prompt.toLowerCase().includes(q) ||
+    e.parameters.model.toLowerCase().includes(q) ||
+    new Date(e.createdAt).toLocaleString().toLowerCase().includes(q));
+
+  elements.historyTableBody.innerHTML = matches.length ? '' : '<tr><td colspan="7" class="muted">No saved tests.</td></tr>';
+  matches.forEach(e => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input type="checkbox" class="history-select" data-history-id="${e.id}" /></td>
+      <td class="mono">${new Date(e.createdAt).toLocaleString()}</td>
+      <td class="mono">${escapeHtml(e.parameters.model)}</td>
+      <td class="mono">${e.metrics.successes}/${e.metrics.runs}</td>
+      <td class="mono">${pctOrDash(e.metrics.exactRate)}</td>
+      <td title="${escapeHtml(e.prompt)}">${escapeHtml(truncate(e.prompt, 80))}</td>
+      <td style="white-space:nowrap;">
+        <button class="btn ghost" data-history-load="${e.id}" style="padding: 4px 8px; font-size: 12px;">Load</button>
+        <button class="btn ghost" data-history-delete="${e.id}" style="padding: 4px 8px; font-size: 12px;">Delete</button>
+      </td>
+    `;
+    elements.historyTableBody.appendChild(tr);
+  });
+}
+
+const HISTORY_PARAMETER_ROWS = [
+  ['Model', e => escapeHtml(e.parameters.model)],
+  ['Temperature', e => e.parameters.temperature],
+  ['Top-P', e => e.parameters.topP],
+  ['Thinking Budget', e => e.parameters.thinkingBudget],
+  ['Top-K', e => e.parameters.topK ?? '–'],
+  ['Max Output Tokens', e => e.parameters.maxOutputTokens ?? '–'],
+  ['Seed', e => e.parameters.seed ?? '–'],
+  ['Candidates', e => e.parameters.candidateCount ?? 1],
+  ['Stop Sequences', e => e.parameters.stopSequences?.length ? escapeHtml(JSON.stringify(e.parameters.stopSequences)) : '–'],
+  ['System Instruction', e => e.parameters.systemInstruction ? escapeHtml(truncate(e.parameters.systemInstruction, 80)) : '–'],
+  ['Safety', e => e.parameters.safetySettings ? e.parameters.safetySettings.map(s => escapeHtml(s.threshold)).join(', ') : '–'],
+  ['Attachments', e => e.attachments.length],
+];
+
+export function renderHistoryCompare(a, b) {
+  const entries = [a, b];
+  const row = (name, cells) => `<tr><td>${name}</td>${cells.map(c => `<td class="mono">${c}</td>`).join('')}</tr>`;
+  const f1 = e => e.metrics.accuracy?.avgF1 ?? null;
+  elements.historyCompareEl.innerHTML = `
+    <table>
+      <thead><tr><th>Metric</th>${entries.map(e => `<th class="mono">${new Date(e.createdAt).toLocaleString()}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${HISTORY_PARAMETER_ROWS.map(([name, fmt]) => row(name, entries.map(fmt))).join('')}
+        ${row('Same Prompt', [a.prompt === b.prompt ? 'yes' : 'no', ''])}
+        ${COMPARISON_ROWS.map(([name, fmt]) => row(name, entries.map(e => fmt(e.metrics)))).join('')}
+        ${row('Accuracy (Exact)', entries.map(e => e.metrics.accuracy ? pct(e.metrics.accuracy.exactRate) : '–'))}
+        ${row('Field F1', entries.map(e => pctOrDash(f1(e))))}
+      </tbody>
+    </table>
+  `;
+}
+
+export async function loadTemplates() {
+  const res = await fetch('templates.json');
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+export function renderTemplateOptions(templates, selectedId) {
+  elements.templateSelectorEl.innerHTML = '<option value="">Select a template...</option>';
+  templates.forEach(t => {
+    const opt = document.createElement('option');
+    opt.value = t.id;
+    opt.textContent = t.version > 1 ? `${t.name} (v${t.version})` : t.name;
+    elements.templateSelectorEl.appendChild(opt);
+  });
+  elements.templateSelectorEl.value = templates.some(t => t.id === selectedId) ? selectedId : '';
+}
+
+export function renderTemplateVersions(template, version) {
+  const select = elements.templateVersionEl;
+  select.disabled = !template;
+  select.innerHTML = template ? [...template.versions].reverse().map(v => `
+    <option value="${v.version}">v${v.version} · ${v.savedAt ? new Date(v.savedAt).toLocaleString() : 'bundled'}</option>
+  `).join('') : '';
+  if (template) select.value = String(version);
+}
+
+export function readTemplateVariables() {
+  return Object.fromEntries([...elements.templateVariablesEl.querySelectorAll('.template-var')].map(input => [input.dataset.var, input.value]));
+}
+
+// Re-rendered only when the set of placeholders changes, so typed values survive prompt edits.
+export function renderTemplateVariables(names) {
+  const container = elements.templateVariablesEl;
+  if (container.dataset.names === names.join('\n')) return;
+  const values = readTemplateVariables();
+  container.dataset.names = names.join('\n');
+  container.style.display = names.length ? 'grid' : 'none';
+  container.innerHTML = names.map(name => `
+    <div>
+      <label class="mono">{{${escapeHtml(name)}}}</label>
+      <input type="text" class="template-var" data-var="${escapeHtml(name)}" value="${escapeHtml(values[name] ?? '')}" />
+    </div>
+  `).join('');
 }
\ No newline at end of file
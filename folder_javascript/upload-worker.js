@@ -0,0 +1,12 @@
+// Module worker for the upload pipeline: { id, op, payload } in, { id, ok, result | error } out.
+import { PIPELINE_OPS } from './image-pipeline.js';
+
+self.onmessage = async ({ data }) => {
+  const { id, op, payload } = data;
+  try {
+    if (!PIPELINE_OPS[op]) throw new Error(`Unknown operation: ${op}`);
+    self.postMessage({ id, ok: true, result: await PIPELINE_OPS[op](payload) });
+  } catch (e) {
+    self.postMessage({ id, ok: false, error: e.message || String(e) });
+  }
+};
@@ -1,5 +1,21 @@
 export const sleep = ms => new Promise(r => setTimeout(r, ms));
 
+// Like sleep, but rejects with an AbortError as soon as `signal` aborts, as fetch would.
+export function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) abort();
+    else signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
 export function normalizeText(s) {
   if (typeof s !== 'string') return '';
   return s.toLowerCase().replace(/\s+/g, ' ').trim();
@@ -18,6 +34,70 @@ export function jaccard(a, b) {
   return union.size === 0 ? 1 : inter.size / union.size;
 }
 
+// Above this many DP cells, edit distance is computed over words instead of characters.
+const MAX_EDIT_CELLS = 4_000_000;
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let curr = new Array(b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = a[i - 1] === b[j - 1] ? prev[j - 1] : 1 + Math.min(prev[j - 1], prev[j], curr[j - 1]);
+    }
+    [prev, curr] = [curr, prev];
+  }
+  return prev[b.length];
+}
+
+// 1 - edit distance / longer length, so identical strings score 1.
+export function editSimilarity(a, b) {
+  let x = a, y = b;
+  if (a.length * b.length > MAX_EDIT_CELLS) {
+    x = a.match(/\S+/g) || [];
+    y = b.match(/\S+/g) || [];
+  }
+  const longest = Math.max(x.length, y.length);
+  return longest === 0 ? 1 : 1 - levenshtein(x, y) / longest;
+}
+
+// Dice coefficient over character n-gram multisets.
+export function ngramSimilarity(a, b, n = 3) {
+  const grams = s => {
+    const m = new Map();
+    const padded = s.length < n ? s.padEnd(n, ' ') : s;
+    for (let i = 0; i + n <= padded.length; i++) {
+      const g = padded.slice(i, i + n);
+      m.set(g, (m.get(g) || 0) + 1);
+    }
+    return m;
+  };
+  if (!a && !b) return 1;
+  const ga = grams(a), gb = grams(b);
+  let shared = 0, total = 0;
+  for (const [g, c] of ga) {
+    shared += Math.min(c, gb.get(g) || 0);
+    total += c;
+  }
+  for (const c of gb.values()) total += c;
+  return total === 0 ? 1 : (2 * shared) / total;
+}
+
+// Shannon entropy (bits) of the distribution of distinct strings.
+export function entropy(strings) {
+  const counts = new Map();
+  for (const s of strings) counts.set(s, (counts.get(s) || 0) + 1);
+  let h = 0;
+  for (const c of counts.values()) {
+    const p = c / strings.length;
+    h -= p * Math.log2(p);
+  }
+  return h;
+}
+
 export function majority(strings) {
   const map = new Map();
   for (const s of strings) {
@@ -33,6 +113,14 @@ export function majority(strings) {
   return { value: best, count: bestCount };
 }
 
+export function percentile(values, p) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank), hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
 export function formatBytes(bytes) {
   if (bytes === 0) return '0 KB';
   const k = 1024;
@@ -49,4 +137,9 @@ export function formatDuration(ms) {
 export function formatShortTime(isoString) {
   if (!isoString) return '–';
   return new Date(isoString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
-}
\ No newline at end of file
+}
+
+export function formatCost(usd) {
+  if (usd === null || usd === undefined) return '–';
+  return `$${usd < 0.01 ? usd.toFixed(5) : usd.toFixed(4)}`;
+}
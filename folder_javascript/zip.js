@@ -0,0 +1,68 @@
+// Minimal ZIP reader for dataset uploads: stored and deflated entries, inflated with the
+// browser's DecompressionStream. No ZIP64, encryption or multi-disk archives.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  pdf: 'application/pdf',
+  json: 'application/json',
+  txt: 'text/plain',
+};
+
+export const mimeFromName = name => MIME_TYPES[name.split('.').pop().toLowerCase()] || '';
+
+function findEndOfCentralDirectory(view) {
+  const min = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= min; i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error('Not a ZIP file (end of central directory not found)');
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Returns [{ path, file }] for every file entry; `path` keeps the folders inside the archive.
+export async function readZip(zipFile) {
+  const buffer = await zipFile.arrayBuffer();
+  const view = new DataView(buffer);
+  const eocd = findEndOfCentralDirectory(view);
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error(`${zipFile.name}: corrupt ZIP central directory`);
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (flags & 1) throw new Error(`${path}: encrypted ZIP entries are not supported`);
+    if (method !== 0 && method !== 8) throw new Error(`${path}: unsupported ZIP compression method ${method}`);
+
+    // The local header repeats the name and may carry a different extra field length.
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = new Uint8Array(buffer, dataStart, compressedSize);
+    const data = method === 8 ? await inflateRaw(raw) : raw;
+    const name = path.split('/').pop();
+    entries.push({ path, file: new File([data], name, { type: mimeFromName(name) }) });
+  }
+  return entries;
+}
@@ -0,0 +1,122 @@
+// api.js: streaming against a local SSE server, and timeouts, cancellation and retries through
+// a stub transport.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { callModel } from '../folder_javascript/api.js';
+import { abortableSleep } from '../folder_javascript/utils.js';
+
+const event = json => `data: ${JSON.stringify(json)}\r\n\r\n`;
+const geminiChunk = (text, extra = {}) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] }, ...extra }] });
+
+// Each route writes its body in pieces, `null` meaning "stall until the client goes away".
+const routes = {
+  '/ok': [event(geminiChunk('Par')).slice(0, 20), event(geminiChunk('Par')).slice(20) + event(geminiChunk('is')),
+    event({ ...geminiChunk('', { finishReason: 'STOP' }), usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 }, modelVersion: 'm-1' })],
+  '/openai': [event({ choices: [{ delta: { content: 'Pa' } }] }), event({ choices: [{ delta: { content: 'ris' }, finish_reason: 'stop' }] }), 'data: [DONE]\n\n'],
+  '/bad': [event(geminiChunk('Par')), 'data: {not json\r\n\r\n', null],
+  '/stall': [event(geminiChunk('Par')), null],
+};
+const closed = new Set();
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const route = Object.keys(routes).find(r => req.url.startsWith(r));
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.on('close', () => closed.add(route));
+    for (const piece of routes[route]) {
+      if (piece === null) return;
+      res.write(piece);
+      await new Promise(r => setTimeout(r, 5));
+    }
+    res.end();
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const request = (path, params = {}) => ({
+  apiKey: 'k', model: 'm', prompt: 'Capital of France?', imageParts: [], stream: true, timeoutMs: 5000,
+  retryPolicy: { maxAttempts: 1 }, baseUrl: `${base}${path}`, ...params,
+});
+
+test('streams Gemini events split across network chunks', async () => {
+  const partial = [];
+  const result = await callModel(request('/ok', { onChunk: text => partial.push(text) }));
+  assert.equal(result.text, 'Paris');
+  assert.deepEqual(partial, ['Par', 'Paris', 'Paris']);
+  assert.equal(result.chunks, 3);
+  assert.ok(Number.isFinite(result.ttft) && result.ttft <= result.latency);
+  assert.equal(result.finishReason, 'STOP');
+  assert.equal(result.modelVersion, 'm-1');
+  assert.deepEqual(result.usage, { promptTokens: 4, outputTokens: 2, thinkingTokens: 0, totalTokens: 6 });
+  assert.equal(result.flag, null);
+});
+
+test('streams OpenAI-compatible events up to [DONE]', async () => {
+  const result = await callModel(request('/openai', { provider: 'openai' }));
+  assert.equal(result.text, 'Paris');
+  assert.equal(result.finishReason, 'stop');
+});
+
+test('a malformed event fails the attempt and cancels the body', async () => {
+  await assert.rejects(callModel(request('/bad')), (err) => {
+    assert.equal(err.category, 'other');
+    assert.equal(err.attempts.length, 1);
+    return true;
+  });
+  await new Promise(r => setTimeout(r, 50));
+  assert.ok(closed.has('/bad'), 'the server saw the connection close');
+});
+
+test('the timeout covers a stream that stalls after its first event', async () => {
+  await assert.rejects(callModel(request('/stall', { timeoutMs: 100 })), { message: 'Timeout', category: 'timeout' });
+});
+
+// A transport that never answers until its request is aborted.
+const hang = (url, init) => abortableSleep(2 ** 31 - 1, init.signal);
+const stubRequest = params => ({ apiKey: 'k', model: 'm', prompt: 'p', imageParts: [], ...params });
+
+test('a timed-out attempt is retried, then reported as a timeout', async () => {
+  const retries = [];
+  await assert.rejects(callModel(stubRequest({
+    transport: hang, timeoutMs: 20, retryPolicy: { maxAttempts: 2, baseDelayMs: 1, jitter: false }, onProgress: m => retries.push(m),
+  })), (err) => {
+    assert.equal(err.category, 'timeout');
+    assert.equal(err.cancelled, false);
+    assert.deepEqual(err.attempts.map(a => a.errorCategory), ['timeout', 'timeout']);
+    return true;
+  });
+  assert.equal(retries.length, 1);
+});
+
+test('cancelling aborts the attempt in flight and is not retried', async () => {
+  const cancel = new AbortController();
+  setTimeout(() => cancel.abort(), 20);
+  await assert.rejects(callModel(stubRequest({
+    transport: hang, timeoutMs: 5000, signal: cancel.signal, retryPolicy: { maxAttempts: 3 },
+  })), (err) => {
+    assert.equal(err.category, 'cancelled');
+    assert.equal(err.cancelled, true);
+    assert.equal(err.attempts.length, 1);
+    return true;
+  });
+});
+
+test('a rate-limited attempt is retried after the Retry-After delay', async () => {
+  const answers = [
+    new Response('{"error":{"code":429}}', { status: 429, headers: { 'Retry-After': '0' } }),
+    Response.json(geminiChunk('Paris', { finishReason: 'STOP' })),
+  ];
+  const result = await callModel(stubRequest({ transport: async () => answers.shift(), timeoutMs: 1000, retryPolicy: { maxAttempts: 2 } }));
+  assert.equal(result.text, 'Paris');
+  assert.deepEqual(result.attempts.map(a => [a.httpStatus, a.errorCategory]), [[429, 'rate_limit'], [200, null]]);
+  assert.equal(result.attempts[0].retryDelayMs, 0);
+});
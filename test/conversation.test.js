@@ -0,0 +1,21 @@
+// conversation.js: turn scripts and how they are planned.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planConversation, normalizeConversation } from '../folder_javascript/conversation.js';
+
+test('planConversation makes one step per user turn', () => {
+  const turns = normalizeConversation([
+    { role: 'model', text: 'Scripted' },
+    { role: 'user', text: 'Why?' },
+    { role: 'model' },
+    { role: 'user', text: 'Sure?' },
+  ]);
+  assert.deepEqual(planConversation(turns), [
+    { user: null, reply: 'Scripted' },
+    { user: 'Why?', reply: null },
+    { user: 'Sure?', reply: null },
+  ]);
+  assert.deepEqual(planConversation(turns, { ownAnswers: true }).map(s => s.reply), [null, null, null]);
+  assert.throws(() => normalizeConversation([{ role: 'user', text: 'Hi' }, { role: 'model' }]), /must end with a user turn/);
+  assert.throws(() => normalizeConversation([{ role: 'model' }, { role: 'model' }, { role: 'user', text: 'x' }]), /two model turns in a row/);
+});
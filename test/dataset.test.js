@@ -0,0 +1,42 @@
+// dataset.js: grouping picked files, folders and ZIP entries into batch cases.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupCases } from '../folder_javascript/dataset.js';
+
+const entry = path => ({ path, file: { name: path.split('/').pop(), type: '' } });
+const grouped = paths => {
+  const { cases, unmatched } = groupCases(paths.map(entry));
+  return { cases: cases.map(c => [c.name, c.files.map(f => f.name), c.expected?.name ?? null]), unmatched };
+};
+
+test('groupCases makes a case of every sub-folder and top-level document', () => {
+  assert.deepEqual(grouped(['inv-10/p1.png', 'inv-2/p2.png', 'inv-2/p1.png', 'inv-2/expected.json', 'scan.pdf', 'scan.expected.txt', 'notes.txt']), {
+    cases: [
+      ['inv-2', ['p1.png', 'p2.png'], 'expected.json'],
+      ['inv-10', ['p1.png'], null],
+      ['scan', ['scan.pdf'], 'scan.expected.txt'],
+    ],
+    unmatched: [],
+  });
+});
+
+test('groupCases ignores one folder wrapping the case folders', () => {
+  assert.deepEqual(grouped(['ds/inv-1/p1.png', 'ds/inv-1/expected.json', 'ds/top.png']).cases, [
+    ['inv-1', ['p1.png'], 'expected.json'],
+    ['top', ['top.png'], null],
+  ]);
+});
+
+test('groupCases keeps a single case folder as one case', () => {
+  assert.deepEqual(grouped(['inv1/a.png', 'inv1/b.png', 'inv1/expected.json']), {
+    cases: [['inv1', ['a.png', 'b.png'], 'expected.json']],
+    unmatched: [],
+  });
+});
+
+test('groupCases reports expected files that belong to no case', () => {
+  assert.deepEqual(grouped(['a.png', 'a.expected.json', 'a.expected.txt', 'b.expected.json', 'expected.json', 'empty/expected.json']), {
+    cases: [['a', ['a.png'], 'a.expected.json']],
+    unmatched: ['a.expected.txt', 'b.expected.json', 'empty/expected.json', 'expected.json'],
+  });
+});
@@ -0,0 +1,57 @@
+// diff.js: token, word, line and JSON key diffs.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffTokens, diffWords, diffLines, diffJson } from '../folder_javascript/diff.js';
+
+// Applying the ops to `a` must give `b`.
+const apply = ops => ops.filter(o => o.type !== 'delete').map(o => o.value).join('');
+const source = ops => ops.filter(o => o.type !== 'insert').map(o => o.value).join('');
+
+test('diffTokens keeps the common prefix and suffix and merges adjacent ops', () => {
+  assert.deepEqual(diffTokens(['a', 'b', 'c', 'd'], ['a', 'x', 'y', 'd']), [
+    { type: 'equal', value: 'a' },
+    { type: 'delete', value: 'bc' },
+    { type: 'insert', value: 'xy' },
+    { type: 'equal', value: 'd' },
+  ]);
+  assert.deepEqual(diffTokens(['a'], ['a']), [{ type: 'equal', value: 'a' }]);
+  assert.deepEqual(diffTokens([], ['a']), [{ type: 'insert', value: 'a' }]);
+  assert.deepEqual(diffTokens(['a'], []), [{ type: 'delete', value: 'a' }]);
+});
+
+test('diffWords turns one answer into the other', () => {
+  const a = 'Paris is the capital';
+  const b = 'paris is capital city';
+  const ops = diffWords(a, b);
+  assert.deepEqual(ops, [
+    { type: 'delete', value: 'Paris' },
+    { type: 'insert', value: 'paris' },
+    { type: 'equal', value: ' is ' },
+    { type: 'delete', value: 'the ' },
+    { type: 'equal', value: 'capital' },
+    { type: 'insert', value: ' city' },
+  ]);
+  assert.equal(source(ops), a);
+  assert.equal(apply(ops), b);
+});
+
+test('diffLines matches a last line with or without its newline', () => {
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nB\nc\n'), [
+    { type: 'equal', value: 'a\n' },
+    { type: 'delete', value: 'b\n' },
+    { type: 'insert', value: 'B\n' },
+    { type: 'equal', value: 'c\n' },
+  ]);
+  assert.deepEqual(diffLines('', ''), []);
+});
+
+test('diffJson lists changed, removed and added paths', () => {
+  assert.deepEqual(diffJson('{"a":1,"b":[1,2],"c":{}}', '```json\n{"a":2,"b":[1],"d":null}\n```'), [
+    { path: 'a', type: 'changed', a: '1', b: '2' },
+    { path: 'b[1]', type: 'removed', a: '2' },
+    { path: 'c', type: 'removed', a: '{}' },
+    { path: 'd', type: 'added', b: 'null' },
+  ]);
+  assert.deepEqual(diffJson('{"a":{"b":1}}', '{"a":{"b":1}}'), []);
+  assert.equal(diffJson('{"a":1}', 'not json'), null);
+});
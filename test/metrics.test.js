@@ -0,0 +1,88 @@
+// metrics.js: response clustering, JSON field agreement across runs and accuracy against an
+// expected output.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeMetrics, clusterResponses, computeJsonMetrics, alignRows, parseJsonOutput, stripCodeFences, compareJsonFields, valuesMatch } from '../folder_javascript/metrics.js';
+
+test('parseJsonOutput accepts fenced JSON and reports parse errors', () => {
+  assert.deepEqual(parseJsonOutput('```json\n{"a":1}\n```'), { ok: true, value: { a: 1 } });
+  assert.deepEqual(parseJsonOutput('Here you go:\n```json\n[1]\n```\nAnything else?'), { ok: true, value: [1] });
+  assert.deepEqual(parseJsonOutput('```\n[1]\n```\n```\n[2]\n```'), { ok: true, value: [1] });
+  assert.equal(parseJsonOutput('{"a":').ok, false);
+  assert.equal(parseJsonOutput(undefined).ok, false);
+});
+
+test('stripCodeFences leaves unfenced text alone', () => {
+  assert.equal(stripCodeFences('  [1]\n'), '[1]');
+  assert.equal(stripCodeFences('```[1]```'), '[1]');
+  assert.equal(stripCodeFences(null), '');
+});
+
+test('alignRows keeps the order and leaves unmatched reference rows empty', () => {
+  assert.deepEqual(alignRows([{ id: 1 }, { id: 2 }, { id: 3 }], [{ id: 1 }, { id: 3 }]), [{ id: 1 }, undefined, { id: 3 }]);
+  assert.deepEqual(alignRows([{ id: 1 }], [{ id: 9 }]), [undefined]);
+  assert.deepEqual(alignRows([], [{ id: 1 }]), []);
+});
+
+test('computeJsonMetrics scores rows against the most common row count', () => {
+  const m = computeJsonMetrics([
+    '[{"a":1,"b":"x"},{"a":2,"b":"y"}]',
+    '```json\n[{"a":1,"b":"X "},{"a":2,"b":"z"}]\n```',
+    '[{"a":2,"b":"y"}]',
+    'not json',
+  ]);
+  assert.equal(m.parseRate, 0.75);
+  assert.equal(m.parsedCount, 3);
+  assert.equal(m.rowCountAgreement, 2 / 3);
+  assert.equal(m.fieldAgreement, 0.75);
+  assert.deepEqual(m.fields.map(f => [f.key, f.rows]), [['a', 2], ['b', 2]]);
+  assert.deepEqual(m.rows.map(r => r.present), [2, 3]);
+  assert.ok(Math.abs(m.rows[1].agreement - 5 / 6) < 1e-9);
+});
+
+test('computeJsonMetrics without any parsed output', () => {
+  assert.deepEqual(computeJsonMetrics(['a', 'b']), { parseRate: 0, parsedCount: 0, rowCountAgreement: 0, fieldAgreement: 0, fields: [], rows: [] });
+  assert.equal(computeJsonMetrics(['{"a":1}', '{"a":1}']).fieldAgreement, 1);
+});
+
+test('valuesMatch compares numbers with a tolerance and text normalized', () => {
+  assert.ok(valuesMatch('1,000', 1000));
+  assert.ok(valuesMatch(10.004, '10', 0.01));
+  assert.ok(!valuesMatch(10.1, 10, 0.01));
+  assert.ok(valuesMatch(' Paris ', 'paris'));
+});
+
+test('compareJsonFields counts per-field precision and recall over aligned rows', () => {
+  const c = compareJsonFields('{"items":[{"sku":"A","qty":"1,000"},{"sku":"C","qty":5}]}', '[{"sku":"A","qty":1000},{"sku":"B","qty":2}]');
+  assert.equal(c.parsed, true);
+  assert.deepEqual(c.fields.map(f => [f.key, f.tp, f.predicted, f.expected]), [['sku', 1, 2, 2], ['qty', 1, 2, 2]]);
+  assert.deepEqual([c.precision, c.recall, c.f1], [0.5, 0.5, 0.5]);
+  assert.equal(compareJsonFields('[{"p":10.004}]', '[{"p":10}]', 0.01).f1, 1);
+});
+
+test('compareJsonFields with unparsable output or reference', () => {
+  const c = compareJsonFields('no json here', '[{"a":1}]');
+  assert.deepEqual([c.parsed, c.tp, c.expected, c.recall, c.f1], [false, 0, 1, 0, 0]);
+  assert.equal(compareJsonFields('[{"a":1}]', 'plain text'), null);
+});
+
+test('clusterResponses groups near-identical answers, largest cluster first', () => {
+  const texts = ['Paris', 'paris', 'Paris.', 'Lyon', 'The capital is Paris'];
+  assert.deepEqual(clusterResponses(texts, { threshold: 0.8 }).map(c => [c.representative, c.members, c.variants]), [
+    ['Paris', [0, 1, 2], 2],
+    ['Lyon', [3], 1],
+    ['The capital is Paris', [4], 1],
+  ]);
+  const exact = clusterResponses(texts, { threshold: 1 });
+  assert.equal(exact.length, 4);
+  assert.deepEqual(exact[0], { representative: 'Paris', members: [0, 1], size: 2, share: 0.4, variants: 1 });
+  assert.deepEqual(clusterResponses([]), []);
+});
+
+test('computeMetrics reports entropy relative to the number of runs', () => {
+  const m = computeMetrics(['a', 'a', 'b', 'c']);
+  assert.equal(m.exactRate, 0.5);
+  assert.equal(m.entropy, 1.5);
+  assert.equal(m.normalizedEntropy, 0.75);
+  assert.equal(computeMetrics(['x']).normalizedEntropy, 0);
+});
@@ -0,0 +1,33 @@
+// mock.js: config validation and the seeded offline transport.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMockConfig, createMockTransport } from '../folder_javascript/mock.js';
+
+test('normalizeMockConfig rejects invalid configs', () => {
+  assert.throws(() => normalizeMockConfig([]), /must be a JSON object/);
+  assert.throws(() => normalizeMockConfig({ variants: [] }), /non-empty "variants"/);
+  assert.throws(() => normalizeMockConfig({ variants: [{ text: 'a', weight: -1 }] }), /weights/);
+  assert.throws(() => normalizeMockConfig({ latencyMs: { min: 5, max: 1 } }), /latencyMs/);
+  assert.throws(() => normalizeMockConfig({ failures: { 200: 0.1 } }), /HTTP status codes/);
+  assert.throws(() => normalizeMockConfig({ failures: { 429: 0.6, 503: 0.6 } }), /more than 1/);
+  assert.equal(normalizeMockConfig({ seed: 7 }).variants.length, 3);
+});
+
+test('createMockTransport is deterministic for a seed', async () => {
+  const config = normalizeMockConfig({ latencyMs: { min: 0, max: 0 }, failures: { 503: 0.3 } });
+  const request = { method: 'POST', body: JSON.stringify({ contents: [{ role: 'user', parts: [{ text: 'Capital of France?' }] }] }) };
+  const sample = async (seed) => {
+    const transport = createMockTransport({ ...config, seed });
+    const out = [];
+    for (let i = 0; i < 20; i++) {
+      const res = await transport('https://mock/models/m:generateContent', request);
+      out.push(res.ok ? (await res.json()).candidates[0].content.parts[0].text : `${res.status} ${res.headers.get('Retry-After')}`);
+    }
+    return out;
+  };
+  const first = await sample(42);
+  assert.deepEqual(await sample(42), first);
+  assert.ok(first.includes('503 1'));
+  assert.ok(first.some(t => config.variants.some(v => v.text === t)));
+  assert.notDeepEqual(await sample(43), first);
+});
@@ -0,0 +1,44 @@
+// report.js: API key redaction and the per-run CSV.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact, toCsv } from '../folder_javascript/report.js';
+
+test('redact scrubs secrets, key= parameters and apiKey fields everywhere', () => {
+  const input = {
+    apiKey: 'sk-secret-123',
+    meta: { note: 'used sk-secret-123 twice: sk-secret-123' },
+    results: [{ error: 'HTTP 400 — bad url https://host/m:generateContent?alt=sse&key=AIzaXYZ&x=1', n: 3, ok: false }],
+  };
+  assert.deepEqual(redact(input, ['sk-secret-123', null, 'abc']), {
+    meta: { note: 'used [REDACTED] twice: [REDACTED]' },
+    results: [{ error: 'HTTP 400 — bad url https://host/m:generateContent?alt=sse&key=[REDACTED]&x=1', n: 3, ok: false }],
+  });
+  assert.equal(redact('short abc stays', ['abc']), 'short abc stays');
+  assert.equal(input.apiKey, 'sk-secret-123', 'the input is not modified');
+});
+
+const run = (fields) => ({ index: 1, ok: true, startTime: '2026-01-01T00:00:00.000Z', latency: 120, attempts: [{}], ...fields });
+
+test('toCsv writes one row per run with a header', () => {
+  const csv = toCsv([
+    run({ text: 'Paris', finishReason: 'STOP', usage: { promptTokens: 4, outputTokens: 1, thinkingTokens: 0, totalTokens: 5 }, cost: 0.0001, matchesMajority: true }),
+    run({ index: 2, ok: false, text: undefined, error: 'HTTP 503', errorCategory: 'server', attempts: [{}, {}, {}] }),
+  ]);
+  const [header, first, second, end] = csv.split('\r\n');
+  assert.equal(header.split(',')[0], 'run');
+  assert.equal(header.split(',').at(-1), 'output');
+  assert.equal(header.split(',').length, first.split(',').length);
+  assert.match(first, /^1,ok,,STOP,2026-01-01T00:00:00\.000Z,120,,1,0,4,1,0,5,0\.0001,true,/);
+  assert.match(second, /^2,error,server,/);
+  assert.match(second, /,3,2,/, 'three attempts are two retries');
+  assert.ok(second.endsWith(',HTTP 503'));
+  assert.equal(end, '');
+});
+
+test('toCsv quotes separators and neutralizes spreadsheet formulas', () => {
+  const output = csv => csv.split('\r\n')[1].split(',').slice(-1)[0];
+  assert.ok(toCsv([run({ text: 'a "quoted", text' })]).endsWith(',"a ""quoted"", text"\r\n'));
+  assert.equal(output(toCsv([run({ text: '=HYPERLINK("http://x")' })])), `"'=HYPERLINK(""http://x"")"`);
+  for (const text of ['+1', '-1', '@SUM(A1)', '\tx']) assert.equal(output(toCsv([run({ text })])), `'${text}`);
+  assert.ok(toCsv([run({ text: 'line\nbreak' })]).endsWith(',"line\nbreak"\r\n'));
+});
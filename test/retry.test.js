@@ -0,0 +1,56 @@
+// retry.js: error taxonomy, Retry-After parsing and backoff.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyHttpError, parseRetryAfter, shouldRetry, retryDelay, normalizePolicy, countRetries } from '../folder_javascript/retry.js';
+
+const geminiError = (details, status = 'RESOURCE_EXHAUSTED') => JSON.stringify({ error: { code: 429, status, message: 'Resource has been exhausted.', details } });
+
+test('classifyHttpError tells quota from rate limit', () => {
+  assert.equal(classifyHttpError(429, geminiError([])), 'rate_limit');
+  assert.equal(classifyHttpError(429, geminiError([{ violations: [{ quotaId: 'GenerateRequestsPerDayPerProjectPerModel-FreeTier' }] }])), 'quota');
+  assert.equal(classifyHttpError(429, JSON.stringify({ error: { type: 'insufficient_quota', message: 'You exceeded your current quota.' } })), 'quota');
+  assert.equal(classifyHttpError(429, JSON.stringify([{ error: { code: 'insufficient_quota' } }])), 'quota');
+  assert.equal(classifyHttpError(429, 'not json'), 'rate_limit');
+  assert.equal(classifyHttpError(401, ''), 'auth');
+  assert.equal(classifyHttpError(400, JSON.stringify({ error: { details: [{ reason: 'API_KEY_INVALID' }] } })), 'auth');
+  assert.equal(classifyHttpError(400, ''), 'invalid_request');
+  assert.equal(classifyHttpError(503, ''), 'server');
+});
+
+test('parseRetryAfter reads seconds, HTTP dates and RetryInfo', () => {
+  const headers = value => new Headers(value === undefined ? {} : { 'Retry-After': value });
+  assert.equal(parseRetryAfter(headers('7'), ''), 7000);
+  const ms = parseRetryAfter(headers(new Date(Date.now() + 10000).toUTCString()), '');
+  assert.ok(ms > 8000 && ms <= 10000, `got ${ms}`);
+  assert.equal(parseRetryAfter(headers(new Date(Date.now() - 10000).toUTCString()), ''), 0);
+  assert.equal(parseRetryAfter(headers(), geminiError([{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12.5s' }])), 12500);
+  assert.equal(parseRetryAfter(headers(), geminiError([])), null);
+  assert.equal(parseRetryAfter(null, ''), null);
+});
+
+test('shouldRetry never retries auth, quota or cancelled requests', () => {
+  const policy = normalizePolicy();
+  assert.equal(shouldRetry(policy, 'auth', 401), false);
+  assert.equal(shouldRetry(policy, 'quota', 429), false);
+  assert.equal(shouldRetry(policy, 'cancelled', null), false);
+  assert.equal(shouldRetry(policy, 'rate_limit', 429), true);
+  assert.equal(shouldRetry(policy, 'server', 503), true);
+  assert.equal(shouldRetry(policy, 'invalid_request', 400), false);
+  assert.equal(shouldRetry(normalizePolicy({ retryTimeouts: false }), 'timeout', null), false);
+});
+
+test('retryDelay backs off exponentially and honours Retry-After up to maxDelayMs', () => {
+  const policy = normalizePolicy({ baseDelayMs: 1000, maxDelayMs: 5000, jitter: false });
+  assert.deepEqual([0, 1, 2, 3].map(retry => retryDelay(policy, retry)), [1000, 2000, 4000, 5000]);
+  assert.equal(retryDelay(policy, 0, 3000), 3000);
+  assert.equal(retryDelay(policy, 0, 60000), 5000);
+  assert.equal(retryDelay({ ...policy, honorRetryAfter: false }, 1, 3000), 2000);
+  assert.equal(retryDelay({ ...policy, jitter: true }, 1, null, () => 0), 1000);
+  assert.equal(retryDelay({ ...policy, jitter: true }, 1, null, () => 1), 2000);
+});
+
+test('countRetries does not count conversation turns as retries', () => {
+  assert.equal(countRetries([]), 0);
+  assert.equal(countRetries([{}, {}, {}]), 2);
+  assert.equal(countRetries([{ turn: 1 }, { turn: 2 }, { turn: 2 }, { turn: 3 }]), 1);
+});
@@ -0,0 +1,101 @@
+// scheduler.js: run ordering, cancellation and the shared request throttle.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScheduled, createThrottle } from '../folder_javascript/scheduler.js';
+import { sleep } from '../folder_javascript/utils.js';
+
+test('runScheduled delivers results in run order whatever order they finish in', async () => {
+  const delivered = [];
+  const settled = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const { completed, results } = await runScheduled({
+    total: 5,
+    concurrency: 3,
+    task: async (run) => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await sleep([30, 5, 15, 1, 1][run - 1]);
+      inFlight--;
+      return `run ${run}`;
+    },
+    onResult: (result, index) => delivered.push([index, result]),
+    onSettled: (done, total) => settled.push(`${done}/${total}`),
+  });
+  assert.equal(completed, 5);
+  assert.deepEqual(results, ['run 1', 'run 2', 'run 3', 'run 4', 'run 5']);
+  assert.deepEqual(delivered.map(([index]) => index), [1, 2, 3, 4, 5]);
+  assert.equal(settled.at(-1), '5/5');
+  assert.equal(maxInFlight, 3);
+});
+
+test('runScheduled stops starting runs once cancelled and returns the delivered prefix', async () => {
+  let cancelled = false;
+  const started = [];
+  const { completed, results } = await runScheduled({
+    total: 10,
+    concurrency: 2,
+    isCancelled: () => cancelled,
+    task: async (run) => {
+      started.push(run);
+      await sleep(run === 1 ? 20 : 1);
+      if (run === 3) cancelled = true;
+      return run;
+    },
+  });
+  assert.deepEqual(started, [1, 2, 3]);
+  assert.equal(completed, 3);
+  assert.deepEqual(results, [1, 2, 3]);
+});
+
+test('runScheduled waits delayMs between the runs of a worker', async () => {
+  const starts = [];
+  await runScheduled({ total: 3, delayMs: 20, task: async () => starts.push(Date.now()) });
+  assert.ok(starts[1] - starts[0] >= 15 && starts[2] - starts[1] >= 15, starts.join(', '));
+});
+
+test('createThrottle holds requests beyond the per-minute limit', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const throttle = createThrottle({ rpm: 2 });
+  const granted = [];
+  [1, 2, 3].forEach(n => throttle.acquire().then(() => granted.push(n)));
+  const flush = async () => { for (let i = 0; i < 20; i++) await Promise.resolve(); };
+  await flush();
+  assert.deepEqual(granted, [1, 2]);
+  for (let ms = 0; ms < 59750; ms += 250) {
+    t.mock.timers.tick(250);
+    await flush();
+  }
+  assert.deepEqual(granted, [1, 2]);
+  t.mock.timers.tick(250);
+  await flush();
+  assert.deepEqual(granted, [1, 2, 3]);
+});
+
+test('createThrottle pauses every request after a penalty and backs off exponentially', async () => {
+  const throttle = createThrottle({ backoffMs: 40, maxBackoffMs: 100 });
+  throttle.penalize();
+  assert.ok(throttle.pausedMs > 30);
+  const t0 = Date.now();
+  await throttle.acquire();
+  assert.ok(Date.now() - t0 >= 35);
+  throttle.penalize();
+  assert.ok(throttle.pausedMs > 70, 'second penalty doubles the pause');
+  await throttle.acquire();
+  throttle.penalize();
+  assert.ok(throttle.pausedMs <= 100, 'capped at maxBackoffMs');
+  throttle.reward();
+  await throttle.acquire();
+  throttle.penalize();
+  assert.ok(throttle.pausedMs <= 40, 'reward resets the backoff');
+});
+
+test('createThrottle releases waiting requests when the test is cancelled', async () => {
+  let cancelled = false;
+  const throttle = createThrottle({ backoffMs: 60000, isCancelled: () => cancelled });
+  throttle.penalize();
+  const waiting = throttle.acquire();
+  setTimeout(() => { cancelled = true; }, 10);
+  const t0 = Date.now();
+  await waiting;
+  assert.ok(Date.now() - t0 < 1000);
+});
@@ -0,0 +1,57 @@
+// schema.js: validating model output against a response schema, and the schema sent to Gemini.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateValue, toGeminiSchema } from '../folder_javascript/schema.js';
+
+test('validateValue reports the path of each violation', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'items'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string' },
+      total: { type: 'number', minimum: 0, nullable: true },
+      status: { enum: ['paid', 'open'] },
+      items: { type: 'array', minItems: 1, items: { type: 'object', required: ['qty'], properties: { qty: { type: 'integer' } } } },
+    },
+  };
+  assert.deepEqual(validateValue({ name: 'a', total: null, status: 'paid', items: [{ qty: 2 }] }, schema), []);
+  assert.deepEqual(validateValue({ name: 1, total: -1, status: 'late', items: [{ qty: 1.5 }, {}], extra: true }, schema), [
+    '$.name: expected string, got number',
+    '$.total: -1 is below the minimum 0',
+    '$.status: "late" is not one of "paid", "open"',
+    '$.items[0].qty: expected integer, got number',
+    '$.items[1]: missing required property "qty"',
+    '$: unexpected property "extra"',
+  ]);
+  assert.deepEqual(validateValue([], schema), ['$: expected object, got array']);
+});
+
+test('toGeminiSchema sends only the keywords Gemini accepts and inlines local refs', () => {
+  const schema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object',
+    additionalProperties: false,
+    required: ['items'],
+    properties: {
+      items: { type: 'array', minItems: 1, items: { $ref: '#/$defs/item' } },
+      total: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Sum' },
+      tree: { $ref: '#/$defs/node' },
+    },
+    $defs: {
+      item: { type: 'object', additionalProperties: false, properties: { sku: { type: 'string', enum: ['A', 'B'] } } },
+      node: { type: 'object', properties: { child: { $ref: '#/$defs/node' } } },
+    },
+  };
+  assert.deepEqual(toGeminiSchema(schema), {
+    type: 'OBJECT',
+    required: ['items'],
+    properties: {
+      items: { type: 'ARRAY', minItems: 1, items: { type: 'OBJECT', properties: { sku: { type: 'STRING', enum: ['A', 'B'] } } } },
+      total: { type: 'NUMBER', nullable: true, description: 'Sum' },
+      tree: { type: 'OBJECT', properties: { child: {} } },
+    },
+  });
+  assert.equal(schema.additionalProperties, false, 'the schema used for validation is left alone');
+  assert.deepEqual(validateValue({ items: [{}], extra: 1 }, schema), ['$: unexpected property "extra"']);
+});
@@ -0,0 +1,13 @@
+// stats.js: confidence intervals for the success and exact-match rates.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wilsonInterval } from '../folder_javascript/stats.js';
+
+test('wilsonInterval stays inside [0, 1] and brackets the rate', () => {
+  assert.equal(wilsonInterval(0, 0), null);
+  const { low, high } = wilsonInterval(8, 10);
+  assert.ok(Math.abs(low - 0.4902) < 1e-3 && Math.abs(high - 0.9433) < 1e-3, `${low} ${high}`);
+  assert.equal(wilsonInterval(0, 5).low, 0);
+  assert.equal(wilsonInterval(5, 5).high, 1);
+  assert.ok(wilsonInterval(5, 5).low < 1);
+});
@@ -0,0 +1,37 @@
+// utils.js: the string similarity and entropy measures behind the consistency metrics.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { levenshtein, editSimilarity, ngramSimilarity, entropy } from '../folder_javascript/utils.js';
+
+test('levenshtein counts insertions, deletions and substitutions', () => {
+  assert.equal(levenshtein('kitten', 'sitting'), 3);
+  assert.equal(levenshtein('', 'abc'), 3);
+  assert.equal(levenshtein('same', 'same'), 0);
+  assert.equal(levenshtein(['a', 'b'], ['b']), 1);
+});
+
+test('editSimilarity is 1 - distance / longer length', () => {
+  assert.equal(editSimilarity('kitten', 'sitting'), 1 - 3 / 7);
+  assert.equal(editSimilarity('', ''), 1);
+  assert.equal(editSimilarity('abc', ''), 0);
+});
+
+test('editSimilarity falls back to words for very long strings', () => {
+  const a = 'word '.repeat(2500);
+  const b = 'word '.repeat(2499) + 'other ';
+  assert.equal(editSimilarity(a, b), 1 - 1 / 2500);
+});
+
+test('ngramSimilarity is the Dice coefficient over character trigrams', () => {
+  assert.equal(ngramSimilarity('paris', 'paris.'), 6 / 7);
+  assert.equal(ngramSimilarity('ab', 'ab'), 1);
+  assert.equal(ngramSimilarity('abc', 'xyz'), 0);
+  assert.equal(ngramSimilarity('', ''), 1);
+});
+
+test('entropy is 0 for unanimous answers and log2(n) for all different', () => {
+  assert.equal(entropy(['a', 'a', 'a']), 0);
+  assert.equal(entropy(['a', 'b', 'c', 'd']), 2);
+  assert.equal(entropy(['a', 'a', 'b', 'c']), 1.5);
+  assert.equal(entropy([]), 0);
+});